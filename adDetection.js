@@ -9,6 +9,200 @@ const overlayMap = new WeakMap();
 // Set to track elements that are already covered to prevent duplicates
 const coveredElements = new Set();
 
+// Detection reason records keyed by anchor element, see buildDetectionReason
+const overlayReasons = new WeakMap();
+
+// Called after an overlay is added or removed, set by content.js to keep the toolbar badge count current
+let overlayChangeListener = null;
+
+// Settings in effect for overlay colors and score thresholds (see settings.js), kept current by content.js
+let detectionSettings = getDefaultSettings();
+
+// Selectors of elements that must never be covered on this page, from site-scoped "#@#" rules such as
+// those saved by the element picker (see getCompiledOverlayExceptions). Kept current by content.js.
+let overlayExceptions = [];
+
+// Readable names for the reason sources, used in overlay tooltips
+const DETECTION_SOURCE_LABELS = {
+  'cosmetic-filter': 'Cosmetic filter',
+  'network-filter': 'Network filter',
+  'heuristic': 'Heuristics'
+};
+
+// Network rule matches for resource URLs, keyed by "type url". Filled by content.js from the
+// background's classifyUrls answers so the scoring functions below can stay synchronous.
+// A null value means the URL was classified and matched no blocking rule.
+const networkFilterMatches = new Map();
+
+// Limit on resource URLs sent to the background in one classification batch
+const NETWORK_CLASSIFY_BATCH_LIMIT = 500;
+
+// Function to get the resource request an element makes or links to, as { url, type }
+function getResourceRequest(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  
+  let url = null;
+  let type = null;
+  
+  switch (element.tagName) {
+    case 'IFRAME':
+      url = element.src;
+      type = 'subdocument';
+      break;
+    case 'SCRIPT':
+      url = element.src;
+      type = 'script';
+      break;
+    case 'IMG':
+      url = element.currentSrc || element.src;
+      type = 'image';
+      break;
+    case 'A':
+      url = element.href;
+      type = 'link';
+      break;
+  }
+  
+  if (!url || !/^https?:/i.test(url)) {
+    return null;
+  }
+  
+  // Links within the same site are navigation, not ad click-throughs
+  if (type === 'link') {
+    try {
+      if (new URL(url).hostname === window.location.hostname) {
+        return null;
+      }
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  return { url, type };
+}
+
+// Function to build the cache key of a resource request
+function getResourceRequestKey(request) {
+  return request.type + ' ' + request.url;
+}
+
+// Function to collect the elements under root whose resource URLs have not been classified yet
+function collectUnclassifiedResources(root) {
+  const pending = [];
+  const seenKeys = new Set();
+  
+  if (!root || !root.querySelectorAll) {
+    return pending;
+  }
+  
+  const candidates = [];
+  if (root.matches && root.matches('iframe[src], script[src], img[src], a[href]')) {
+    candidates.push(root);
+  }
+  candidates.push(...root.querySelectorAll('iframe[src], script[src], img[src], a[href]'));
+  
+  for (const element of candidates) {
+    const request = getResourceRequest(element);
+    if (!request) continue;
+    
+    const key = getResourceRequestKey(request);
+    if (networkFilterMatches.has(key) || seenKeys.has(key)) continue;
+    
+    seenKeys.add(key);
+    pending.push({ element, request });
+    
+    if (pending.length >= NETWORK_CLASSIFY_BATCH_LIMIT) break;
+  }
+  
+  return pending;
+}
+
+// Function to store the background's answers for a batch from collectUnclassifiedResources
+function recordNetworkFilterMatches(pending, matches) {
+  pending.forEach((item, index) => {
+    networkFilterMatches.set(getResourceRequestKey(item.request), (matches && matches[index]) || null);
+  });
+}
+
+// Function to get the blocking network rule matching an element's URL, as { filter, listId } or null
+function getNetworkFilterMatch(element) {
+  const request = getResourceRequest(element);
+  if (!request) {
+    return null;
+  }
+  
+  return networkFilterMatches.get(getResourceRequestKey(request)) || null;
+}
+
+// Function to check whether an element shows or links to a URL matching a network blocking rule. Scripts are
+// invisible and are left out; a matching script only adds to the score of the element it is in.
+function isNetworkFilteredAd(element) {
+  return element.tagName !== 'SCRIPT' && !!getNetworkFilterMatch(element);
+}
+
+// Well-known ad networks by the domain their ads are served from
+const AD_NETWORK_NAMES = {
+  'googlesyndication.com': 'Google Ads',
+  'doubleclick.net': 'Google Ads',
+  'googleadservices.com': 'Google Ads',
+  'googletagservices.com': 'Google Ads',
+  'amazon-adsystem.com': 'Amazon Ads',
+  'taboola.com': 'Taboola',
+  'outbrain.com': 'Outbrain',
+  'criteo.com': 'Criteo',
+  'criteo.net': 'Criteo',
+  'adnxs.com': 'Xandr',
+  'media.net': 'Media.net',
+  'pubmatic.com': 'PubMatic',
+  'rubiconproject.com': 'Magnite',
+  'popads.net': 'PopAds',
+  'propellerads.com': 'PropellerAds'
+};
+
+// Function to name the ad network behind an element: a well-known network, otherwise the domain of the
+// first third-party frame, script, image or link in it. Null when nothing points elsewhere.
+function getAdNetwork(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  
+  const googleMarkers = 'ins.adsbygoogle, [data-ad-client], [id^="google_ads_iframe_"], [id^="div-gpt-ad"]';
+  if (element.matches(googleMarkers) || element.querySelector(googleMarkers)) {
+    return AD_NETWORK_NAMES['googlesyndication.com'];
+  }
+  
+  const pageDomain = getBaseDomain(window.location.hostname);
+  const resources = [element, ...element.querySelectorAll('iframe[src], script[src], img[src], a[href]')];
+  let firstThirdParty = null;
+  
+  for (const resource of resources.slice(0, 50)) {
+    const request = getResourceRequest(resource);
+    if (!request) continue;
+    
+    let domain;
+    try {
+      domain = getBaseDomain(new URL(request.url).hostname);
+    } catch (e) {
+      continue;
+    }
+    if (!domain || domain === pageDomain) continue;
+    
+    if (AD_NETWORK_NAMES[domain]) {
+      return AD_NETWORK_NAMES[domain];
+    }
+    firstThirdParty = firstThirdParty || domain;
+  }
+  
+  return firstThirdParty;
+}
+
+// Function to forget all classified URLs, used when the filter lists change
+function clearNetworkFilterMatches() {
+  networkFilterMatches.clear();
+}
+
 // Function to find the anchor element by walking up the DOM tree
 function findAdAnchorElement(adMarker) {
   if (!adMarker || !adMarker.nodeType || adMarker.nodeType !== Node.ELEMENT_NODE) {
@@ -164,91 +358,10 @@ function getElementBoundingBox(element) {
   };
 }
 
-// Function to parse cosmetic filters from EasyList
-function parseCosmeticFilters(filterText, currentHostname) {
-  const lines = filterText.split('\n');
-  const selectors = [];
-  const domainSpecificSelectors = [];
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    // Skip comments and empty lines
-    if (!trimmedLine || trimmedLine.startsWith('!') || trimmedLine.startsWith('[Adblock')) {
-      continue;
-    }
-    
-    // Check for cosmetic filter patterns
-    if (trimmedLine.includes('##') || trimmedLine.includes('#?#') || trimmedLine.includes('#@#')) {
-      // Handle element hiding rules (##) and exceptions (#@#)
-      if (trimmedLine.includes('##')) {
-        const parts = trimmedLine.split('##');
-        if (parts.length >= 2) {
-          const domains = parts[0]; // Domains (empty means all domains)
-          let selector = parts.slice(1).join('##'); // The selector part
-          
-          // Check if this is a domain-specific rule
-          if (domains && domains.length > 0) {
-            // Check if the rule applies to the current domain
-            const domainList = domains.split(',');
-            let shouldApply = false;
-            
-            for (const domain of domainList) {
-              if (domain.startsWith('~')) {
-                // Exception domain - rule does NOT apply to this domain
-                const exceptionDomain = domain.substring(1);
-                if (currentHostname && currentHostname.includes(exceptionDomain)) {
-                  shouldApply = false;
-                  break;
-                }
-              } else if (domain.startsWith('@@')) {
-                // Exception rule
-                shouldApply = false;
-                break;
-              } else {
-                // Rule applies to this domain
-                if (currentHostname && (currentHostname === domain || currentHostname.endsWith('.' + domain) || currentHostname.endsWith(domain + '.'))) {
-                  shouldApply = true;
-                }
-              }
-            }
-            
-            if (shouldApply) {
-              domainSpecificSelectors.push(selector.trim());
-            }
-          } else {
-            // Global selector (applies to all domains)
-            selectors.push(selector.trim());
-          }
-        }
-      }
-      
-      // Handle extended CSS selectors (#?#)
-      if (trimmedLine.includes('#?#')) {
-        const parts = trimmedLine.split('#?#');
-        if (parts.length >= 2) {
-          // Get the selector part after #?#
-          const selector = parts.slice(1).join('#?#').trim();
-          selectors.push(selector);
-        }
-      }
-    }
-  }
-  
-  // Combine global and domain-specific selectors
-  return [...selectors, ...domainSpecificSelectors];
-}
-
 // Function to sanitize selectors that might not be supported
 function sanitizeSelector(selector) {
-  // Skip or sanitize unsupported selectors
-  if (selector.includes(':-abp-') || 
-      selector.includes(':has(') || 
-      selector.includes(':matches-css(') || 
-      selector.includes(':not(:has(') ||
-      selector.includes(':contains(') ||
-      selector.includes(':xpath(') ||
-      selector.includes(':style(')) {
+  // Procedural selectors cannot go through querySelectorAll, they are run by proceduralFilters.js
+  if (isProceduralSelector(selector)) {
     return null; // Skip this selector
   }
   
@@ -276,69 +389,289 @@ function sanitizeSelector(selector) {
   }
 }
 
-// Main function to detect ads using EasyList selectors
+// Number of selectors joined into one querySelectorAll call
+const SELECTOR_BATCH_SIZE = 250;
+
+// Time budget per slice when requestIdleCallback is unavailable
+const DETECTION_SLICE_MS = 8;
+
+// Selectors checked by validateSelector: selector -> selector to query with (possibly sanitized), or null when invalid
+const selectorValidityCache = new Map();
+
+// Incremented to stop an in-flight detection run
+let detectionGeneration = 0;
+
+// Query batches keyed by the selector array they were built from
+const selectorBatchCache = new WeakMap();
+
+// Subtrees added to the page still waiting for their cosmetic selector queries
+const pendingSubtreeChecks = [];
+let subtreeChecksScheduled = false;
+
+// Function to check a selector without running it against the page, sanitizing it when it is invalid
+function validateSelector(selector) {
+  if (selectorValidityCache.has(selector)) {
+    return selectorValidityCache.get(selector);
+  }
+  
+  let result;
+  try {
+    // Querying an empty fragment only parses the selector
+    document.createDocumentFragment().querySelector(selector);
+    result = selector;
+  } catch (e) {
+    result = sanitizeSelector(selector);
+  }
+  
+  selectorValidityCache.set(selector, result);
+  return result;
+}
+
+// Function to run a callback in idle time, falling back to a short timeout with a fixed budget
+function scheduleDetectionSlice(callback) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(callback, { timeout: 500 });
+  } else {
+    setTimeout(() => {
+      const start = Date.now();
+      callback({ timeRemaining: () => Math.max(0, DETECTION_SLICE_MS - (Date.now() - start)), didTimeout: false });
+    }, 1);
+  }
+}
+
+// Function to split the cosmetic selectors into query work items: combined CSS batches and single procedural selectors
+function buildSelectorBatches(cosmeticSelectors) {
+  const batches = [];
+  let current = [];
+  
+  for (const selector of cosmeticSelectors) {
+    // Procedural selectors (:has-text(), :-abp-has(), :upward()...) are evaluated as a step pipeline
+    if (isProceduralSelector(selector)) {
+      if (parseProceduralSelector(selector)) {
+        batches.push({ procedural: selector });
+      }
+      continue;
+    }
+    
+    // Selectors already found invalid are left out, sanitized replacements are used instead
+    if (selectorValidityCache.has(selector)) {
+      const valid = selectorValidityCache.get(selector);
+      if (!valid) continue;
+      current.push(valid);
+    } else {
+      current.push(selector);
+    }
+    
+    if (current.length >= SELECTOR_BATCH_SIZE) {
+      batches.push({ selectors: current });
+      current = [];
+    }
+  }
+  
+  if (current.length > 0) {
+    batches.push({ selectors: current });
+  }
+  
+  return batches;
+}
+
+// Function to get the query batches of a selector array, building them on first use
+function getSelectorBatches(cosmeticSelectors) {
+  if (!selectorBatchCache.has(cosmeticSelectors)) {
+    selectorBatchCache.set(cosmeticSelectors, buildSelectorBatches(cosmeticSelectors));
+  }
+  return selectorBatchCache.get(cosmeticSelectors);
+}
+
+// Function to run one combined query, on the document or within root. When the browser rejects the joined
+// selector, each selector is validated on its own so the invalid ones are cached and left out, and the rest is queried again.
+function queryAdSelectorBatch(selectors, stats, root = document) {
+  try {
+    return root.querySelectorAll(selectors.join(', '));
+  } catch (e) {
+    const validSelectors = [];
+    selectors.forEach(selector => {
+      const valid = validateSelector(selector);
+      if (valid) {
+        validSelectors.push(valid);
+      } else {
+        console.debug(`Skipping cosmetic selector: ${selector}`);
+        stats.selectorsSkipped++;
+      }
+    });
+    
+    if (validSelectors.length === 0) {
+      return [];
+    }
+    
+    try {
+      return root.querySelectorAll(validSelectors.join(', '));
+    } catch (error) {
+      console.debug('Skipping selector batch:', error);
+      stats.selectorsSkipped += validSelectors.length;
+      return [];
+    }
+  }
+}
+
+// Function to stop the current detection run, e.g. when protection is switched off
+function cancelAdDetection() {
+  detectionGeneration++;
+  pendingSubtreeChecks.length = 0;
+}
+
+// Function to run the cosmetic selectors against a subtree added to the page. The queries are scoped to
+// root and use the same batches as detectAndOverlayAds, spread over idle callbacks shared by all queued
+// subtrees. onMatch is called once for each element found below root.
+function queueSubtreeSelectorCheck(root, cosmeticSelectors, onMatch) {
+  if (!root || !root.querySelectorAll || !cosmeticSelectors || cosmeticSelectors.length === 0) {
+    return;
+  }
+  
+  pendingSubtreeChecks.push({
+    root,
+    batches: getSelectorBatches(cosmeticSelectors),
+    batchIndex: 0,
+    seenElements: new Set(),
+    onMatch
+  });
+  
+  if (subtreeChecksScheduled) {
+    return;
+  }
+  subtreeChecksScheduled = true;
+  
+  const stats = { selectorsSkipped: 0 };
+  const runSlice = (deadline) => {
+    try {
+      // Always make some progress, then keep going while the browser is idle
+      do {
+        const check = pendingSubtreeChecks[0];
+        if (!check) break;
+        
+        // Subtrees removed again before their turn are dropped
+        if (!check.root.isConnected || check.batchIndex >= check.batches.length) {
+          pendingSubtreeChecks.shift();
+          continue;
+        }
+        
+        const batch = check.batches[check.batchIndex++];
+        const elements = batch.procedural
+          ? evaluateProceduralSelector(batch.procedural, check.root)
+          : queryAdSelectorBatch(batch.selectors, stats, check.root);
+        
+        for (const element of elements) {
+          if (element !== check.root && !check.seenElements.has(element)) {
+            check.seenElements.add(element);
+            check.onMatch(element);
+          }
+        }
+      } while (deadline.timeRemaining() > 1);
+    } catch (e) {
+      console.debug('Error checking added content with cosmetic selectors:', e);
+    }
+    
+    if (pendingSubtreeChecks.length > 0) {
+      scheduleDetectionSlice(runSlice);
+    } else {
+      subtreeChecksScheduled = false;
+    }
+  };
+  
+  scheduleDetectionSlice(runSlice);
+}
+
+// Main function to detect ads using EasyList selectors.
+// All selectors are applied: CSS selectors in combined batches, procedural ones one by one, with the work
+// spread over idle callbacks. Returns a Promise resolved when the run finishes or is cancelled.
 function detectAndOverlayAds(cosmeticSelectors, adElements, CONFIG, isAdElement, hasParentAdOverlay, addAdOverlay, calculateAdConfidence, isElementLikelyAd) {
   if (!cosmeticSelectors || cosmeticSelectors.length === 0) {
     console.debug('🔍 Skipping ad detection - no selectors available');
-    return;
+    return Promise.resolve();
   }
   
   console.log('🔍 Starting ad detection with', cosmeticSelectors.length, 'selectors');
   
-  let totalChecked = 0;
-  let totalMatched = 0;
-  let selectorsApplied = 0;
-  let selectorsSkipped = 0;
+  const generation = ++detectionGeneration;
+  const batches = buildSelectorBatches(cosmeticSelectors);
+  const pendingElements = [];
+  const seenElements = new Set();
+  let pendingIndex = 0;
+  const stats = {
+    totalChecked: 0,
+    totalMatched: 0,
+    selectorsApplied: 0,
+    selectorsSkipped: cosmeticSelectors.length - batches.reduce((count, batch) => count + (batch.selectors ? batch.selectors.length : 1), 0)
+  };
+  let batchIndex = 0;
+  
+  // Function to check one element matched by a selector
+  const processElement = (element) => {
+    stats.totalChecked++;
+    if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
+      // For EasyList matches, apply confidence scoring to avoid false positives
+      const confidenceScore = calculateAdConfidence(element, cosmeticSelectors);
+      
+      // Only treat as ad if it passes our validation threshold
+      if (isElementLikelyAd(element) || confidenceScore >= detectionSettings.detection.adScoreThreshold) {
+        stats.totalMatched++;
+        console.log('🎯 Matched ad element with EasyList selector, Element:', element, 'Confidence:', confidenceScore);
+        addAdOverlay(element, 'cosmetic-filters');
+      }
+    }
+  };
   
-  try {
-    // Process all cosmetic selectors but validate with confidence scoring
-    for (const selector of cosmeticSelectors) {
-      // Limit the number of selectors processed to prevent performance issues
-      if (selectorsApplied >= 100) { // Reasonable limit to prevent infinite processing
-        console.debug('⚠️ Reached selector processing limit, stopping to prevent performance issues');
-        break;
+  // Function to run the next query and queue the elements it found
+  const runNextBatch = () => {
+    const batch = batches[batchIndex++];
+    const elements = batch.procedural
+      ? evaluateProceduralSelector(batch.procedural)
+      : queryAdSelectorBatch(batch.selectors, stats);
+    
+    stats.selectorsApplied += batch.procedural ? 1 : batch.selectors.length;
+    
+    for (const element of elements) {
+      if (!seenElements.has(element)) {
+        seenElements.add(element);
+        pendingElements.push(element);
       }
-      
-      const sanitizedSelector = sanitizeSelector(selector);
-      
-      if (!sanitizedSelector) {
-        selectorsSkipped++;
-        continue;
+    }
+  };
+  
+  return new Promise((resolve) => {
+    const runSlice = (deadline) => {
+      if (generation !== detectionGeneration) {
+        console.debug('Detection run cancelled');
+        resolve();
+        return;
       }
       
       try {
-        const elements = document.querySelectorAll ? document.querySelectorAll(sanitizedSelector) : [];
-        console.debug('Checking selector:', sanitizedSelector, 'Found elements:', elements.length);
-        
-        // Limit elements processed per selector to prevent performance issues
-        const elementsToProcess = Array.from(elements).slice(0, 20); // Limit to 20 elements per selector
-        
-        elementsToProcess.forEach(element => {
-          totalChecked++;
-          if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-            // For EasyList matches, apply confidence scoring to avoid false positives
-            const confidenceScore = calculateAdConfidence(element, cosmeticSelectors);
-                      
-            // Only treat as ad if it passes our validation threshold
-            if (isElementLikelyAd(element) || confidenceScore >= 4) {
-              totalMatched++; 
-              console.log('🎯 Matched ad element with selector:', sanitizedSelector, 'Element:', element, 'Confidence:', confidenceScore);
-              addAdOverlay(element);
-            }
+        // Always make some progress, then keep going while the browser is idle
+        do {
+          if (pendingIndex < pendingElements.length) {
+            processElement(pendingElements[pendingIndex++]);
+          } else if (batchIndex < batches.length) {
+            runNextBatch();
+          } else {
+            break;
           }
-        });
-        selectorsApplied++;
+        } while (deadline.timeRemaining() > 1);
       } catch (e) {
-        // Skip invalid selectors
-        console.debug(`Skipping cosmetic selector: ${sanitizedSelector}`, e);
-        selectorsSkipped++;
+        console.error('❌ Error in main detection loop:', e);
       }
-    }
-  } catch (e) {
-    console.error('❌ Error in main detection loop:', e);
-  }
-  
-  console.log('📊 EasyList detection summary - Selectors applied:', selectorsApplied, 'Skipped:', selectorsSkipped, 'Elements checked:', totalChecked, 'Matched:', totalMatched);
+      
+      if (pendingIndex < pendingElements.length || batchIndex < batches.length) {
+        scheduleDetectionSlice(runSlice);
+        return;
+      }
+      
+      console.log('📊 EasyList detection summary - Selectors applied:', stats.selectorsApplied, 'Skipped:', stats.selectorsSkipped, 'Elements checked:', stats.totalChecked, 'Matched:', stats.totalMatched);
+      resolve();
+    };
+    
+    scheduleDetectionSlice(runSlice);
+  });
 }
 
 // Function to specifically check for Google AdSense elements
@@ -362,19 +695,9 @@ function isGoogleAdElement(element) {
     return true;
   }
   
-  // Check for iframe with Google ad sources
-  if (tagName === 'iframe' && element.src) {
-    const src = element.src.toLowerCase();
-    if (src.includes('googlesyndication') ||
-        src.includes('doubleclick') ||
-        src.includes('googleadservices') ||
-        src.includes('googletagservices') ||
-        src.includes('pagead') ||
-        src.includes('tpc.goog') ||
-        src.includes('securepubads') ||
-        (src.includes('googleusercontent.com') && src.includes('ad'))) {
-      return true;
-    }
+  // Check for iframe whose source matches a network blocking rule (ad servers)
+  if (tagName === 'iframe' && getNetworkFilterMatch(element)) {
+    return true;
   }
   
   // Check for Google ad attributes
@@ -401,20 +724,12 @@ function isElementLikelyAd(element) {
   const id = element.id ? element.id.toLowerCase() : '';
   
   // Special case: if element has known high-confidence ad classes, it's definitely an ad
-  if (className.includes('GoogleActiveViewElement') || className.includes('adsbygoogle') || 
-      className.includes('googlesyndication') || className.includes('doubleclick')) {
+  if (className.includes('GoogleActiveViewElement') || className.includes('adsbygoogle')) {
     return true;
   }
   
-  // Special case: if element is an iframe with known ad sources, it's definitely an ad
-  if (element.tagName === 'IFRAME' && element.src && (
-      element.src.includes('googlesyndication') ||
-      element.src.includes('doubleclick') ||
-      element.src.includes('googleadservices') ||
-      element.src.includes('googletagservices') ||
-      element.src.includes('pagead') ||
-      element.src.includes('tpc.goog')
-  )) {
+  // Special case: if the element loads or links to a URL matching a network blocking rule, it's definitely an ad
+  if (isNetworkFilteredAd(element)) {
     return true;
   }
   
@@ -450,7 +765,7 @@ function isElementLikelyAd(element) {
       className.includes('afs_ads')) {
     // For these, verify with confidence scoring to avoid false positives
     const confidenceScore = calculateAdConfidence(element);
-    return confidenceScore >= 4; // Lower threshold for known ad classes
+    return confidenceScore >= detectionSettings.detection.knownAdClassScoreThreshold;
   }
   
   // Don't mark essential page elements as ads
@@ -479,12 +794,12 @@ function isElementLikelyAd(element) {
   const confidenceScore = calculateAdConfidence(element);
   
   // Log for debugging if element has high confidence score
-  if (confidenceScore >= 4) {
+  if (confidenceScore >= detectionSettings.detection.adScoreThreshold) {
     console.debug('🔍 Ad detection check - Element:', element, 'Score:', confidenceScore, 'Tag:', element.tagName, 'Class:', element.className, 'ID:', element.id);
   }
   
-  // Use threshold of 4 for general ad detection
-  return confidenceScore >= 4;
+  // Use the configured threshold for general ad detection
+  return confidenceScore >= detectionSettings.detection.adScoreThreshold;
 }
 
 // Function to check if an element is likely content rather than an ad
@@ -635,43 +950,53 @@ function isElementLikelyContent(element) {
   return false;
 }
 
-// Calculate confidence score for an element being an ad
-function calculateAdConfidence(element, cosmeticSelectors = []) {
+// Calculate confidence score for an element being an ad, with the signal behind each score contribution
+function getAdConfidenceDetails(element, cosmeticSelectors = []) {
   let score = 0;
+  const signals = [];
+  
+  // Function to add a named score contribution
+  const addSignal = (signal, points) => {
+    score += points;
+    signals.push({ signal, points });
+  };
   
   // Check for Google ad attributes (high confidence)
   if (element.hasAttribute('data-ad-client') || element.hasAttribute('data-google-av-ad') || element.hasAttribute('data-google-av-element')) {
-    score += 6; // google_ad_attributes: 6 points
+    addSignal('google_ad_attributes', 6);
   }
   
   // Check for Google ad classes
   if (element.classList && element.classList.contains('adsbygoogle')) {
-    score += 6; // adsbygoogle_class: 6 points
+    addSignal('adsbygoogle_class', 6);
   }
   
-  // Check for iframe with ad-related src
-  if (element.tagName === 'IFRAME' && element.src) {
-    const src = element.src.toLowerCase();
-    if (src.includes('googlesyndication') || src.includes('doubleclick')) {
-      score += 6; // iframe_ad_src: 6 points
-    }
+  // Check for iframe, image or link whose URL matches a network blocking rule
+  if (isNetworkFilteredAd(element)) {
+    addSignal('network_filter_match', element.tagName === 'IFRAME' ? 6 : 4); // 6 points for frames, 4 otherwise
+  }
+  
+  // Check for scripts of the element whose URL matches a network blocking rule
+  const childScripts = element.querySelectorAll ? element.querySelectorAll(':scope > script[src]') : [];
+  if (Array.from(childScripts).some(script => getNetworkFilterMatch(script))) {
+    addSignal('network_filter_script', 3);
   }
   
   // Check for Google Publisher Tags elements
   const elementId = element.id || '';
   if (elementId.includes('gpt-ad') || elementId.includes('google_ads') || 
       elementId.includes('div-gpt-ad') || elementId.includes('gpt_unit')) {
-    score += 6; // google_publisher_tags: 6 points
+    addSignal('google_publisher_tags', 6);
   }
   
   // Check for data-google-query-id attribute (high confidence)
   if (element.hasAttribute('data-google-query-id')) {
-    score += 5; // google_query_id: 5 points
+    addSignal('google_query_id', 5);
   }
   
   // Check for GoogleActiveViewElement
   if (element.classList && element.classList.contains('GoogleActiveViewElement')) {
-    score += 7; // google_active_view: 7 points
+    addSignal('google_active_view', 7);
   }
   
   // Check for standard ad dimensions
@@ -688,14 +1013,14 @@ function calculateAdConfidence(element, cosmeticSelectors = []) {
   for (const [w, h] of standardAdSizes) {
     if ((Math.abs(width - w) <= 5 && Math.abs(height - h) <= 5) ||
         (Math.abs(width - h) <= 5 && Math.abs(height - w) <= 5)) { // Check rotated as well
-      score += 3; // standard_ad_size: 3 points
+      addSignal('standard_ad_size', 3);
       break;
     }
   }
   
   // Check if element matches EasyList selectors (lower confidence, but adds up)
   if (matchesEasyListSelectors(element, cosmeticSelectors)) {
-    score += 2; // easylist_match: 2 points
+    addSignal('easylist_match', 2);
   }
   
   // Apply penalties for false positive indicators
@@ -729,13 +1054,13 @@ function calculateAdConfidence(element, cosmeticSelectors = []) {
   }
   
   if (isMainContent) {
-    score -= 5; // main_content_penalty: -5 points
+    addSignal('main_content_penalty', -5);
   }
   
   // Check if element is very tall (more than 70% of viewport height)
   const viewportHeight = window.innerHeight;
   if (height > viewportHeight * 0.7) {
-    score -= 3; // large_container_penalty: -3 points
+    addSignal('large_container_penalty', -3);
   }
   
   // Check if element contains large amounts of text
@@ -745,7 +1070,7 @@ function calculateAdConfidence(element, cosmeticSelectors = []) {
   
   // If the element has high text density or large amount of text, penalize
   if (textLength > 200 || (textDensity > 0.1 && textLength > 50)) {
-    score -= 4; // text_heavy_penalty: -4 points
+    addSignal('text_heavy_penalty', -4);
   }
   
   // Additional penalty for common false positive elements
@@ -757,21 +1082,21 @@ function calculateAdConfidence(element, cosmeticSelectors = []) {
   const cookieIndicators = ['cookie', 'banner', 'consent', 'notice', 'policy'];
   if (cookieIndicators.some(indicator => 
     id.includes(indicator) || className.includes(indicator))) {
-    score -= 3; // Additional penalty for cookie banners
+    addSignal('cookie_banner_penalty', -3);
   }
   
   // Check for navigation elements
   const navIndicators = ['nav', 'header', 'navigation', 'menu'];
   if (navIndicators.some(indicator => 
     tagName.includes(indicator) || id.includes(indicator) || className.includes(indicator))) {
-    score -= 3; // Additional penalty for navigation elements
+    addSignal('navigation_penalty', -3);
   }
   
   // Additional check: if element is empty or has only ad-related content
   if (element.children && element.children.length === 0) {
     // If element is empty but has ad-related attributes, increase confidence
     if (element.hasAttribute('data-google-query-id') || element.hasAttribute('data-ad-client')) {
-      score += 2; // Empty elements with ad attributes are likely ads
+      addSignal('empty_ad_slot', 2); // Empty elements with ad attributes are likely ads
     }
   }
   
@@ -789,10 +1114,15 @@ function calculateAdConfidence(element, cosmeticSelectors = []) {
   if (element.classList.contains('GoogleActiveViewElement')) adIndicatorsCount++;
   
   if (adIndicatorsCount >= 2) {
-    score += adIndicatorsCount; // Multiple ad indicators increase confidence
+    addSignal('multiple_ad_indicators', adIndicatorsCount); // Multiple ad indicators increase confidence
   }
   
-  return Math.max(0, score); // Ensure score doesn't go below 0
+  return { score: Math.max(0, score), signals }; // Ensure score doesn't go below 0
+}
+
+// Calculate confidence score for an element being an ad
+function calculateAdConfidence(element, cosmeticSelectors = []) {
+  return getAdConfidenceDetails(element, cosmeticSelectors).score;
 }
 
 // Check if element matches any EasyList selectors
@@ -801,19 +1131,15 @@ function matchesEasyListSelectors(element, cosmeticSelectors) {
     return false;
   }
   
-  // Check if element matches any of the loaded cosmetic selectors
-  for (const selector of cosmeticSelectors) {
-    try {
-      if (element.matches && element.matches(selector)) {
-        return true;
-      }
-    } catch (e) {
-      // Skip invalid selectors
-      continue;
-    }
+  // Only selectors keyed by the element's id, classes, attributes or tag are tested (see selectorIndex.js)
+  const index = getSelectorIndex(cosmeticSelectors);
+  
+  // element.matches() cannot run procedural selectors, use the matches recorded during evaluation
+  if (index.procedural.length > 0 && isProceduralMatch(element)) {
+    return true;
   }
   
-  return false;
+  return findIndexedSelectorMatch(index, element) !== null;
 }
 
 // Function to detect Google Ads specifically
@@ -830,16 +1156,9 @@ function detectGoogleAds(adElements, CONFIG, isAdElement, hasParentAdOverlay, ad
       '[id^="gpt_unit_"]',
       '[class*="google_ads_iframe"]',
       '[data-google-query-id]',
-      '[data-ad-status="filled"]',
-      'iframe[src*="googlesyndication"]',
-      'iframe[src*="doubleclick"]',
-      'iframe[src*="googleadservices"]',
-      'iframe[src*="googletagservices"]',
-      'iframe[src*="pagead"]',
-      'iframe[src*="tpc.goog"]',
-      'iframe[src*="securepubads"]',
-      'iframe[src*="googleusercontent.com"][src*="ad"]'
+      '[data-ad-status="filled"]'
     ];
+    // Frames served by Google's ad domains are matched by the network rules, see detectHighConfidenceAds
     
     googleAdSelectors.forEach(selector => {
       try {
@@ -848,7 +1167,7 @@ function detectGoogleAds(adElements, CONFIG, isAdElement, hasParentAdOverlay, ad
         const limitedElements = Array.from(elements).slice(0, 15);
         limitedElements.forEach(element => {
           if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element) && isGoogleAdElement(element)) {
-            addAdOverlay(element);
+            addAdOverlay(element, 'google-ads:selector');
           }
         });
       } catch (e) {
@@ -873,7 +1192,7 @@ function detectGoogleAds(adElements, CONFIG, isAdElement, hasParentAdOverlay, ad
         const limitedElements = Array.from(elements).slice(0, 15);
         limitedElements.forEach(element => {
           if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-            addAdOverlay(element);
+            addAdOverlay(element, 'google-ads:attribute');
           }
         });
       } catch (e) {
@@ -894,14 +1213,14 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
   // Directly check for high-confidence ad signals
   
   try {
-    // Check for iframes with ad-related sources
-    const adIframes = document.querySelectorAll ? document.querySelectorAll('iframe[src*="googlesyndication" i], iframe[src*="doubleclick" i], iframe[src*="googleadservices" i], iframe[src*="googletagservices" i], iframe[src*="googlesyndication" i], iframe[src*="pagead" i], iframe[src*="tpc.goog" i], iframe[src*="googleusercontent.com" i][src*="ad"], iframe[src*="securepubads" i]') : [];
-    // Limit the number of elements processed to prevent performance issues
-    const limitedAdIframes = Array.from(adIframes).slice(0, 20);
-    limitedAdIframes.forEach(element => {
+    // Check for frames, images and links whose URLs matched a network blocking rule. Ad servers are only
+    // recognised through the rules, so a resource is classified the same way everywhere
+    const networkResources = document.querySelectorAll ? document.querySelectorAll('iframe[src], img[src], a[href]') : [];
+    const matchedNetworkResources = Array.from(networkResources).filter(element => getNetworkFilterMatch(element)).slice(0, 20);
+    matchedNetworkResources.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-        // These are definitely ads based on their source, add them directly
-        addAdOverlay(element);
+        // The URL points at an ad server listed in the filter lists, add them directly
+        addAdOverlay(element, 'high-confidence:network-filter');
       }
     });
     
@@ -911,7 +1230,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
     limitedAdContainers.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         // These are likely ad containers, add them directly
-        addAdOverlay(element);
+        addAdOverlay(element, 'high-confidence:gpt-container');
       }
     });
     
@@ -921,7 +1240,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
     limitedGoogleAdElements.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         // Elements with Google ad attributes are definitely ads, add them directly
-        addAdOverlay(element);
+        addAdOverlay(element, 'high-confidence:google-ad-attributes');
       }
     });
     
@@ -931,7 +1250,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
     limitedAdsByGoogleElements.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         // Elements with adsbygoogle class are definitely ads, add them directly
-        addAdOverlay(element);
+        addAdOverlay(element, 'high-confidence:adsbygoogle-class');
       }
     });
     
@@ -941,7 +1260,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
     limitedGptElements.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         // These are Google Publisher Tags which are definitely ads, add them directly
-        addAdOverlay(element);
+        addAdOverlay(element, 'high-confidence:gpt-id');
       }
     });
     
@@ -951,7 +1270,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
     limitedGoogleQueryIdElements.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         // Elements with data-google-query-id are definitely Google ads
-        addAdOverlay(element);
+        addAdOverlay(element, 'high-confidence:google-query-id');
       }
     });
     
@@ -962,10 +1281,10 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         if (element.classList && element.classList.contains('GoogleActiveViewElement')) {
           // This is definitely an ad, add it directly
-          addAdOverlay(element);
+          addAdOverlay(element, 'high-confidence:active-view-element');
         } else if (element.querySelector && element.querySelector('.GoogleActiveViewElement')) {
           // This is definitely an ad, add it directly
-          addAdOverlay(element);
+          addAdOverlay(element, 'high-confidence:active-view-child');
         }
       }
     });
@@ -983,7 +1302,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
         // For common ad containers, apply confidence scoring to avoid false positives
         if (isElementLikelyAd(element)) {
-          addAdOverlay(element);
+          addAdOverlay(element, 'high-confidence:common-ad-container');
         }
       }
     });
@@ -1013,16 +1332,11 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
         // If element has standard ad size and contains iframe or img with ad-related src
         if (hasStandardAdSize) {
           const iframeChildren = element.querySelectorAll ? element.querySelectorAll('iframe, img') : [];
-          const hasAdRelatedContent = Array.from(iframeChildren).some(child => {
-            const src = child.src || '';
-            return src.includes('googlesyndication') || src.includes('doubleclick') || 
-                   src.includes('googleadservices') || src.includes('googletagservices') ||
-                   src.includes('pagead') || src.includes('tpc.goog');
-          });
+          const hasAdRelatedContent = Array.from(iframeChildren).some(child => getNetworkFilterMatch(child));
           
           if (hasAdRelatedContent) {
             // This is definitely an ad container, add it directly
-            addAdOverlay(element);
+            addAdOverlay(element, 'high-confidence:ad-size-with-ad-content');
           }
         }
       }
@@ -1033,31 +1347,10 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
     const limitedAllElementsAggressive = Array.from(allElementsAggressive).slice(0, 30);
     limitedAllElementsAggressive.forEach(element => {
       if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-        // Check if element itself has ad-related src or attributes
-        const elementSrc = element.src || element.getAttribute('src') || '';
-        const elementDataSrc = element.getAttribute('data-src') || '';
-        
-        if (elementSrc.includes('googlesyndication') || elementSrc.includes('doubleclick') || 
-            elementSrc.includes('googleadservices') || elementSrc.includes('googletagservices') ||
-            elementSrc.includes('pagead') || elementSrc.includes('tpc.goog') ||
-            elementDataSrc.includes('googlesyndication') || elementDataSrc.includes('doubleclick') || 
-            elementDataSrc.includes('googleadservices') || elementDataSrc.includes('googletagservices') ||
-            elementDataSrc.includes('pagead') || elementDataSrc.includes('tpc.goog')) {
-          // This is definitely an ad element, add it directly
-          addAdOverlay(element);
-        }
-        
-        // Check for ad-related data attributes
-        const attrs = Array.from(element.attributes || []);
-        const hasAdRelatedAttr = attrs.some(attr => 
-          attr.value.includes('googlesyndication') || attr.value.includes('doubleclick') ||
-          attr.value.includes('googleadservices') || attr.value.includes('googletagservices') ||
-          attr.value.includes('pagead') || attr.value.includes('tpc.goog')
-        );
-        
-        if (hasAdRelatedAttr) {
+        // Check if element itself loads or links to a URL matching a network blocking rule
+        if (isNetworkFilteredAd(element)) {
           // This is definitely an ad element, add it directly
-          addAdOverlay(element);
+          addAdOverlay(element, 'high-confidence:network-filter');
         }
         
         // Check for specific Google AdSense elements
@@ -1065,7 +1358,7 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
         if (elementId.includes('gpt-ad') || elementId.includes('google_ads') || 
             elementId.includes('div-gpt-ad') || elementId.includes('gpt_unit')) {
           // These are definitely ads, add them directly
-          addAdOverlay(element);
+          addAdOverlay(element, 'high-confidence:gpt-id');
         }
       }
     });
@@ -1076,8 +1369,224 @@ function detectHighConfidenceAds(adElements, CONFIG, isAdElement, hasParentAdOve
   console.debug('🔍 Completed high-confidence ad detection');
 }
 
-// Function to create overlay with position-aware logic using anchor element
-function createAdOverlay(adMarker) {
+// Function to build the reason record explaining why an element is treated as an ad.
+// detector names the detection pass or branch that fired, e.g. 'high-confidence:adsbygoogle-class'.
+function buildDetectionReason(element, detector, cosmeticSelectors = []) {
+  const confidence = getAdConfidenceDetails(element, cosmeticSelectors);
+  const reason = {
+    detector: detector || 'unknown',
+    source: 'heuristic',
+    selector: null,
+    filter: null,
+    listId: null,
+    listTitle: null,
+    url: null,
+    score: confidence.score,
+    signals: confidence.signals,
+    time: Date.now()
+  };
+  
+  // A matching network rule is the strongest explanation, then a cosmetic selector, then heuristics alone
+  const networkMatch = getNetworkFilterMatch(element);
+  if (networkMatch) {
+    reason.source = 'network-filter';
+    reason.filter = networkMatch.filter;
+    reason.listId = networkMatch.listId;
+    reason.listTitle = networkMatch.listTitle || null;
+    reason.url = getResourceRequest(element).url;
+    return reason;
+  }
+  
+  const selector = getProceduralMatch(element) ||
+    (cosmeticSelectors.length > 0 ? findIndexedSelectorMatch(getSelectorIndex(cosmeticSelectors), element) : null);
+  if (selector) {
+    // The filter line and list are looked up in the background later, see setDetectionReasonFilter
+    reason.source = 'cosmetic-filter';
+    reason.selector = selector;
+  }
+  
+  return reason;
+}
+
+// Function to describe a reason record as the readable name of its source and detail lines,
+// shared by the overlay tooltip and the popup's page report
+function describeDetectionReason(reason) {
+  const details = [];
+  
+  if (reason.filter) {
+    details.push('Filter: ' + reason.filter + (reason.listTitle || reason.listId ? ' (' + (reason.listTitle || reason.listId) + ')' : ''));
+  } else if (reason.selector) {
+    details.push('Selector: ' + reason.selector);
+  }
+  if (reason.url) {
+    details.push('URL: ' + reason.url);
+  }
+  
+  details.push('Detected by: ' + reason.detector);
+  
+  const signals = reason.signals.map(item => item.signal + ' ' + (item.points > 0 ? '+' : '') + item.points);
+  details.push('Score: ' + reason.score + (signals.length > 0 ? ' (' + signals.join(', ') + ')' : ''));
+  
+  return { label: DETECTION_SOURCE_LABELS[reason.source] || reason.source, details };
+}
+
+// Function to turn a reason record into the text shown when hovering an overlay
+function formatDetectionReason(reason) {
+  if (!reason) {
+    return 'Ad Click Guard: no detection reason recorded';
+  }
+  
+  const { label, details } = describeDetectionReason(reason);
+  return ['Ad Click Guard: ' + label].concat(details).join('\n');
+}
+
+// Function to find the anchor element of an overlay, of an anchor itself, or of an element inside an anchor
+function resolveOverlayAnchor(target) {
+  if (!target) {
+    return null;
+  }
+  if (target._anchorElement) {
+    return target._anchorElement;
+  }
+  
+  let current = target;
+  while (current && current !== document.documentElement) {
+    if (coveredElements.has(current)) {
+      return current;
+    }
+    current = current.parentElement;
+  }
+  
+  return null;
+}
+
+// Debug function to get the reason record of an overlay, its anchor or an element inside the anchor
+function getOverlayReason(target) {
+  const anchorElement = resolveOverlayAnchor(target);
+  return anchorElement ? overlayReasons.get(anchorElement) || null : null;
+}
+
+// Function to find the overlay covering an element: the element may be the overlay, its anchor or inside the anchor.
+// Returns { anchor, overlay, reason }, or null when the element is not covered.
+function getOverlayForElement(target) {
+  const anchorElement = resolveOverlayAnchor(target);
+  const overlay = anchorElement ? overlayMap.get(anchorElement) : null;
+  if (!overlay) {
+    return null;
+  }
+  
+  return { anchor: anchorElement, overlay, reason: overlayReasons.get(anchorElement) || null };
+}
+
+// Function to fill in the filter line and list of a cosmetic reason once the background has looked it up
+function setDetectionReasonFilter(reason, source) {
+  if (!reason || !source) return;
+  
+  reason.filter = source.filter;
+  reason.listId = source.listId;
+  reason.listTitle = source.listTitle || null;
+  
+  // Refresh the tooltip of the overlay carrying this reason
+  coveredElements.forEach(anchorElement => {
+    if (overlayReasons.get(anchorElement) === reason) {
+      const overlay = overlayMap.get(anchorElement);
+      if (overlay) overlay.title = formatDetectionReason(reason);
+    }
+  });
+}
+
+// Function to get the overlay fill and border colors from the settings in effect
+function getOverlayColors() {
+  const appearance = detectionSettings.appearance;
+  return {
+    fill: colorWithOpacity(appearance.overlayColor, appearance.overlayOpacity),
+    border: appearance.overlayColor
+  };
+}
+
+// Function to hand the configured colors to an overlay; content.css paints it with them in the overlay style in effect
+function applyOverlayColors(overlay) {
+  const colors = getOverlayColors();
+  overlay.style.setProperty('--ad-click-guard-overlay-fill', colors.fill);
+  overlay.style.setProperty('--ad-click-guard-overlay-border', colors.border);
+}
+
+// Function to switch every overlay on the page, existing ones included, to an overlay style
+// (SETTINGS_SCHEMA.appearance.overlayMode). content.css draws each style from the class on the page root.
+function setOverlayMode(mode) {
+  const root = document.documentElement;
+  Array.from(root.classList)
+    .filter(name => name.startsWith('ad-click-guard-mode-') && name !== 'ad-click-guard-mode-' + mode)
+    .forEach(name => root.classList.remove(name));
+  root.classList.add('ad-click-guard-mode-' + mode);
+  
+  // Overlays kept their last height while the covered elements were collapsed, measure them again
+  coveredElements.forEach(anchorElement => {
+    const overlay = overlayMap.get(anchorElement);
+    if (overlay) positionOverlay(overlay, anchorElement);
+  });
+}
+
+// Function to check whether covered elements are collapsed, their height of 0 is then not copied to the overlays
+function isCollapseMode() {
+  return document.documentElement.classList.contains('ad-click-guard-mode-collapse');
+}
+
+// Function to switch to new settings: later scores use the new thresholds and existing overlays are repainted
+function applyDetectionSettings(settings) {
+  detectionSettings = settings;
+  
+  coveredElements.forEach(anchorElement => {
+    const overlay = overlayMap.get(anchorElement);
+    if (overlay) applyOverlayColors(overlay);
+  });
+}
+
+// Function to register the callback told about added and removed overlays
+function setOverlayChangeListener(listener) {
+  overlayChangeListener = listener;
+}
+
+// Function to tell the registered callback that the set of overlays changed
+function notifyOverlayChange() {
+  if (overlayChangeListener) {
+    overlayChangeListener();
+  }
+}
+
+// Function to check whether an overlay on an anchor element would cover an element marked as never to be covered:
+// the anchor is such an element, sits inside one or contains one
+function isOverlayException(anchorElement) {
+  return overlayExceptions.some(selector => !!anchorElement.closest(selector) || !!anchorElement.querySelector(selector));
+}
+
+// Function to set the never-cover selectors for this page, dropping invalid ones, and remove the overlays
+// they rule out. Returns the number of overlays removed.
+function setOverlayExceptions(selectors) {
+  overlayExceptions = selectors.filter(selector => validateSelector(selector) === selector);
+  
+  const excepted = Array.from(coveredElements).filter(isOverlayException);
+  excepted.forEach(anchorElement => removeAdOverlay(anchorElement, overlayMap.get(anchorElement)));
+  return excepted.length;
+}
+
+// Function to add never-cover selectors to the current ones, e.g. right after the element picker saved one
+function addOverlayExceptions(selectors) {
+  return setOverlayExceptions(overlayExceptions.concat(selectors.filter(selector => !overlayExceptions.includes(selector))));
+}
+
+// Debug function to list every active overlay with its anchor element and reason
+function getDetectionReport() {
+  return Array.from(coveredElements).map(anchorElement => ({
+    anchor: anchorElement,
+    overlay: overlayMap.get(anchorElement) || null,
+    reason: overlayReasons.get(anchorElement) || null
+  }));
+}
+
+// Function to create overlay with position-aware logic using anchor element.
+// The optional reason record (see buildDetectionReason) is kept for the anchor and shown on hover.
+function createAdOverlay(adMarker, reason) {
   if (!adMarker || adMarker.nodeType !== Node.ELEMENT_NODE) return null;
   
   // Find the correct anchor element by walking up the DOM tree
@@ -1087,6 +1596,12 @@ function createAdOverlay(adMarker) {
     return null;
   }
   
+  // Elements the user marked as never to be covered, and anything around them, stay uncovered
+  if (isOverlayException(anchorElement)) {
+    console.debug('Skipping overlay for element marked as never to be covered:', anchorElement);
+    return null;
+  }
+  
   // Check if anchor element is already covered to prevent duplicates
   if (coveredElements.has(anchorElement)) {
     console.debug('Anchor element already covered, skipping duplicate overlay:', anchorElement);
@@ -1140,9 +1655,8 @@ function createAdOverlay(adMarker) {
     overlay.style.zIndex = '2147483647';
     overlay.style.pointerEvents = 'auto';
     overlay.style.cursor = 'not-allowed';
-    overlay.style.backgroundColor = 'rgba(255, 0, 0, 0.25)';
     overlay.style.boxSizing = 'border-box';
-    overlay.style.border = '2px solid red';
+    applyOverlayColors(overlay);
     overlay.style.margin = '0';
     overlay.style.padding = '0';
     overlay.style.display = 'block';
@@ -1162,6 +1676,12 @@ function createAdOverlay(adMarker) {
     // Store overlay reference in WeakMap using anchor element as key
     overlayMap.set(anchorElement, overlay);
     
+    // Keep the detection reason and expose it as the overlay tooltip
+    if (reason) {
+      overlayReasons.set(anchorElement, reason);
+    }
+    overlay.title = formatDetectionReason(reason);
+    
     // Set up 5-second verification timer to check if anchor element still exists
     const verificationTimeout = setTimeout(() => {
       // Check if the anchor element still exists in the DOM
@@ -1178,6 +1698,7 @@ function createAdOverlay(adMarker) {
     
     console.log('✅ Created overlay for', boundingBox.position, 'anchor element:', anchorElement, 'Original marker:', adMarker);
     
+    notifyOverlayChange();
     return overlay;
   } catch (e) {
     console.error('❌ Error creating overlay:', e, 'Anchor element:', anchorElement, 'Ad marker:', adMarker);
@@ -1214,8 +1735,9 @@ function removeAdOverlay(anchorElement, overlay) {
       overlay.parentNode.removeChild(overlay);
     }
     
-    // Remove from WeakMap
+    // Remove from WeakMaps
     overlayMap.delete(anchorElement);
+    overlayReasons.delete(anchorElement);
     
     // Remove from covered elements set
     coveredElements.delete(anchorElement);
@@ -1224,11 +1746,32 @@ function removeAdOverlay(anchorElement, overlay) {
     anchorElement.removeAttribute('data-ad-click-guard-covered');
     
     console.log('✅ Removed overlay for anchor element:', anchorElement);
+    notifyOverlayChange();
   } catch (e) {
     console.error('❌ Error removing overlay:', e, 'Anchor element:', anchorElement);
   }
 }
 
+// Function to move and size an overlay to the element it covers
+function positionOverlay(overlay, element) {
+  try {
+    // Get updated bounding box
+    const boundingBox = getElementBoundingBox(element);
+    if (!boundingBox) return;
+    
+    // Update overlay position and size
+    overlay.style.position = boundingBox.position;
+    overlay.style.top = boundingBox.top + 'px';
+    overlay.style.left = boundingBox.left + 'px';
+    overlay.style.width = boundingBox.width + 'px';
+    if (!isCollapseMode()) {
+      overlay.style.height = boundingBox.height + 'px';
+    }
+  } catch (e) {
+    console.error('Error updating overlay position:', e);
+  }
+}
+
 // Function to set up position synchronization for scroll and resize events
 function setupOverlayPositionSync(overlay, element) {
   if (!overlay || !element) return;
@@ -1237,22 +1780,7 @@ function setupOverlayPositionSync(overlay, element) {
   let scrollUpdatePending = false;
   let resizeUpdatePending = false;
   
-  const updatePosition = () => {
-    try {
-      // Get updated bounding box
-      const boundingBox = getElementBoundingBox(element);
-      if (!boundingBox) return;
-      
-      // Update overlay position and size
-      overlay.style.position = boundingBox.position;
-      overlay.style.top = boundingBox.top + 'px';
-      overlay.style.left = boundingBox.left + 'px';
-      overlay.style.width = boundingBox.width + 'px';
-      overlay.style.height = boundingBox.height + 'px';
-    } catch (e) {
-      console.error('Error updating overlay position:', e);
-    }
-  };
+  const updatePosition = () => positionOverlay(overlay, element);
   
   const scrollHandler = () => {
     if (!scrollUpdatePending) {
@@ -1384,6 +1912,7 @@ function removeAllOverlays() {
   
   // Clear the covered elements set
   coveredElements.clear();
+  notifyOverlayChange();
   
   console.log('✅ Removed all overlays, total:', elementsToRemove.length);
 }
@@ -1509,9 +2038,10 @@ function logOverlayInfo() {
 // Export functions for use in content.js
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    parseCosmeticFilters,
     sanitizeSelector,
     detectAndOverlayAds,
+    cancelAdDetection,
+    queueSubtreeSelectorCheck,
     isGoogleAdElement,
     isElementLikelyAd,
     isElementLikelyContent,
@@ -1524,6 +2054,30 @@ if (typeof module !== 'undefined' && module.exports) {
     getElementBoundingBox,
     coveredElements,
     overlayMap,
+    getAdConfidenceDetails,
+    buildDetectionReason,
+    formatDetectionReason,
+    describeDetectionReason,
+    getOverlayReason,
+    getOverlayForElement,
+    setDetectionReasonFilter,
+    getDetectionReport,
+    isOverlayException,
+    setOverlayExceptions,
+    addOverlayExceptions,
+    setOverlayChangeListener,
+    getOverlayColors,
+    applyOverlayColors,
+    setOverlayMode,
+    isCollapseMode,
+    applyDetectionSettings,
+    getResourceRequest,
+    collectUnclassifiedResources,
+    recordNetworkFilterMatches,
+    getNetworkFilterMatch,
+    isNetworkFilteredAd,
+    getAdNetwork,
+    clearNetworkFilterMatches,
     removeAdOverlay,
     setupOverlayPositionSync,
     createAdDetectionObserver,
@@ -1539,9 +2093,10 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Also make functions available globally for content scripts
 window.adDetection = {
-  parseCosmeticFilters,
   sanitizeSelector,
   detectAndOverlayAds,
+  cancelAdDetection,
+  queueSubtreeSelectorCheck,
   isGoogleAdElement,
   isElementLikelyAd,
   isElementLikelyContent,
@@ -1554,6 +2109,30 @@ window.adDetection = {
   getElementBoundingBox,
   coveredElements,
   overlayMap,
+  getAdConfidenceDetails,
+  buildDetectionReason,
+  formatDetectionReason,
+  describeDetectionReason,
+  getOverlayReason,
+  getOverlayForElement,
+  setDetectionReasonFilter,
+  getDetectionReport,
+  isOverlayException,
+  setOverlayExceptions,
+  addOverlayExceptions,
+  setOverlayChangeListener,
+  getOverlayColors,
+  applyOverlayColors,
+  setOverlayMode,
+  isCollapseMode,
+  applyDetectionSettings,
+  getResourceRequest,
+  collectUnclassifiedResources,
+  recordNetworkFilterMatches,
+  getNetworkFilterMatch,
+  isNetworkFilteredAd,
+  getAdNetwork,
+  clearNetworkFilterMatches,
   removeAdOverlay,
   setupOverlayPositionSync,
   createAdDetectionObserver,
@@ -1,43 +1,1011 @@
 // Background service worker for Ad Click Guard
 
-// Default state
+// Filter list parsing and caching
+importScripts('filterParser.js', 'networkFilters.js', 'filterLists.js', 'siteSettings.js', 'settings.js', 'managedPolicy.js', 'settingsTransfer.js', 'problemReports.js');
+
+// Default state for sites that are in neither site list
 let extensionEnabled = false;
 
-// Initialize the extension state from storage
-chrome.storage.sync.get({
-  adGuardEnabled: false
-}, (result) => {
+// Sites where protection always runs or never runs, see siteSettings.js
+let enabledSites = [];
+let disabledSites = [];
+
+// Overlay style chosen for some sites instead of the appearance setting, by site pattern
+let siteOverlayModes = {};
+
+// Default, site entries and rules set by enterprise policy, see managedPolicy.js
+let managedPolicy = { ...MANAGED_POLICY_DEFAULTS };
+
+// Settings locked by policy, see settings.js. A locked overlay style also wins over the sites' own.
+let managedSettings = {};
+
+// Function to take over a policy that was read from chrome.storage.managed. Returns whether its rules changed.
+function applyManagedPolicy(policy) {
+  managedPolicy = policy;
+  return setManagedFilterRules(policy.customFilterRules);
+}
+
+// Pauses started from the popup: timed ones by site (end time by hostname) and "until reload" ones by tab id.
+// Kept in session storage so a service worker woken again still knows them; they end with the browser session.
+let sitePauses = {};
+let pausedTabs = [];
+
+// Initialize the extension state from storage, the policy and the running pauses
+const settingsLoadPromise = Promise.all([
+  new Promise((resolve) => {
+    chrome.storage.sync.get(SITE_SETTINGS_DEFAULTS, resolve);
+  }),
+  loadManagedPolicy(),
+  loadManagedSettings(),
+  new Promise((resolve) => {
+    if (!chrome.storage.session) {
+      resolve({});
+      return;
+    }
+    chrome.storage.session.get({ sitePauses: {}, pausedTabs: [] }, resolve);
+  })
+]).then(([result, policy, lockedSettings, pauses]) => {
   extensionEnabled = result.adGuardEnabled;
+  enabledSites = result.enabledSites;
+  disabledSites = result.disabledSites;
+  siteOverlayModes = result.siteOverlayModes;
+  applyManagedPolicy(policy);
+  managedSettings = lockedSettings;
+  sitePauses = pauses.sitePauses || {};
+  pausedTabs = pauses.pausedTabs || [];
   console.log('Background service worker initialized, enabled:', extensionEnabled);
 });
 
+// Function to get the default for all sites in effect, the policy's when it sets one
+function getEffectiveDefault() {
+  return isDefaultManaged(managedPolicy) ? managedPolicy.adGuardEnabled : extensionEnabled;
+}
+
+// Function to describe the state for a hostname: the default plus the site's effective state,
+// whether the policy locks them, a pause running in the tab (see getPause) and the overlay style chosen for
+// the site ({ mode, pattern } or null when the appearance setting applies)
+function getSiteStatus(hostname, tab) {
+  const site = resolveManagedSiteState(hostname || '', { adGuardEnabled: extensionEnabled, enabledSites, disabledSites }, managedPolicy);
+  const overlayModeManaged = isSettingManaged(managedSettings, 'appearance', 'overlayMode');
+  return {
+    enabled: hostname ? site.enabled : getEffectiveDefault(),
+    defaultEnabled: getEffectiveDefault(),
+    defaultManaged: isDefaultManaged(managedPolicy),
+    site: hostname ? { hostname: normalizeSitePattern(hostname), ...site } : null,
+    paused: hostname ? getPause(hostname, tab) : null,
+    overlayMode: hostname && !overlayModeManaged ? resolveSiteOverlayMode(hostname, siteOverlayModes) : null,
+    overlayModeManaged
+  };
+}
+
+// Function to describe the site lists for the options page: the user's own, and what the policy sets
+function getSiteSettingsResponse() {
+  return {
+    defaultEnabled: getEffectiveDefault(),
+    enabledSites,
+    disabledSites,
+    siteOverlayModes,
+    managed: {
+      overlayMode: isSettingManaged(managedSettings, 'appearance', 'overlayMode'),
+      defaultEnabled: managedPolicy.adGuardEnabled,
+      enabledSites: managedPolicy.enabledSites,
+      disabledSites: managedPolicy.disabledSites
+    }
+  };
+}
+
+// Function to save the site lists
+function saveSiteLists(lists) {
+  enabledSites = lists.enabledSites;
+  disabledSites = lists.disabledSites;
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ enabledSites, disabledSites }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Function to save the overlay styles chosen for sites
+function saveSiteOverlayModes(modes) {
+  siteOverlayModes = modes;
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ siteOverlayModes }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Function to gather everything a settings export holds, in the shape settingsTransfer.js works with
+function getTransferableState() {
+  return Promise.all([settingsLoadPromise, loadUserSettings(), getCustomFilterRules(), getFilterListsInfo()])
+    .then(([, settings, rules, lists]) => ({
+      defaultEnabled: extensionEnabled,
+      enabledSites,
+      disabledSites,
+      siteOverlayModes,
+      settings,
+      customRules: rules.text,
+      filterLists: lists.map(list => ({ id: list.id, url: list.url, title: list.title, enabled: list.enabled, builtIn: list.builtIn }))
+    }));
+}
+
+// Function to describe the configuration a problem report was made with: where protection runs for the page,
+// the effective settings and the enabled filter lists. Site lists are left out, only the reported site's state is kept.
+function getReportConfiguration(hostname, tab) {
+  return Promise.all([settingsLoadPromise, loadSettings(), getCustomFilterRules(), getFilterListsInfo()])
+    .then(([, settings, rules, lists]) => {
+      const status = getSiteStatus(hostname, tab);
+      return {
+        defaultEnabled: status.defaultEnabled,
+        site: status.site,
+        paused: status.paused,
+        overlayMode: status.overlayMode,
+        settings,
+        filterLists: lists.filter(list => list.enabled).map(list => ({ id: list.id, title: list.title, version: list.version, lastUpdated: list.lastUpdated })),
+        customRuleCount: rules.ruleCount
+      };
+    });
+}
+
+// Ads the user opened on purpose through their overlay, oldest first, and how many are kept
+const CONFIRMED_CLICKS_KEY = 'confirmedClicks';
+const CONFIRMED_CLICK_LIMIT = 100;
+
+// Pending write to the log, so clicks logged at the same time do not overwrite each other
+let confirmedClicksWrite = Promise.resolve();
+
+// Function to read the log of ads opened on purpose
+function loadConfirmedClicks() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [CONFIRMED_CLICKS_KEY]: [] }, (result) => {
+      resolve((result && result[CONFIRMED_CLICKS_KEY]) || []);
+    });
+  });
+}
+
+// Function to change the log with update(clicks) => clicks, after any write still in progress
+function updateConfirmedClicks(update) {
+  confirmedClicksWrite = confirmedClicksWrite
+    .catch(() => {})
+    .then(() => loadConfirmedClicks())
+    .then(clicks => new Promise((resolve, reject) => {
+      const updated = update(clicks);
+      chrome.storage.local.set({ [CONFIRMED_CLICKS_KEY]: updated }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(updated);
+        }
+      });
+    }));
+  return confirmedClicksWrite;
+}
+
+// Function to add a click a content script confirmed on an overlay to the log, oldest entries dropped past the limit
+function logConfirmedClick(entry) {
+  const text = (value, limit) => typeof value === 'string' ? value.substring(0, limit) : null;
+  const logged = {
+    time: new Date().toISOString(),
+    url: text(entry.url, 2000),
+    method: entry.method === 'hold' ? 'hold' : 'click',
+    passthrough: !!entry.passthrough,
+    target: text(entry.target, 40),
+    link: text(entry.link, 2000),
+    network: text(entry.network, 80),
+    reason: text(entry.reason, 300)
+  };
+  return updateConfirmedClicks(clicks => clicks.concat([logged]).slice(-CONFIRMED_CLICK_LIMIT));
+}
+
+// Function to check an imported export and work out the state it leads to with the chosen mode.
+// Resolves to { current, target, changes }, rejects when the file or the mode is not usable.
+function prepareSettingsImport(exported, mode) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    return Promise.reject(new Error('Import mode must be merge or replace'));
+  }
+
+  const { data, errors } = parseSettingsExport(exported);
+  if (errors.length > 0) {
+    return Promise.reject(new Error(errors.join('\n')));
+  }
+
+  return getTransferableState().then(current => {
+    const target = mergeSettingsImport(current, data, mode);
+    return { current, target, changes: diffSettingsImport(current, target) };
+  });
+}
+
+// Function to bring the filter lists in line with an import: removals and switches first, then new lists
+function applyFilterListImport(currentLists, targetLists) {
+  let chain = Promise.resolve();
+
+  currentLists.forEach(list => {
+    const target = targetLists.find(item => getFilterListTransferKey(item) === getFilterListTransferKey(list));
+    if (!target) {
+      chain = chain.then(() => removeFilterSubscription(list.id));
+    } else if (target.enabled !== list.enabled) {
+      chain = chain.then(() => setFilterListEnabled(list.id, target.enabled));
+    }
+  });
+
+  targetLists.forEach(list => {
+    if (currentLists.some(item => getFilterListTransferKey(item) === getFilterListTransferKey(list))) return;
+    chain = chain
+      .then(() => addFilterSubscription(list.url, list.title))
+      .then(subscription => list.enabled ? null : setFilterListEnabled(subscription.id, false));
+  });
+
+  return chain;
+}
+
+// Function to find what would stop the filter lists from being brought in line with an import, checked before
+// anything is written: a list given twice, a built-in list this version does not have, or a built-in list left out.
+// Returns an error message, or null when the changes can be made.
+function getFilterListImportError(currentLists, targetLists) {
+  const targetKeys = new Set();
+
+  for (const list of targetLists) {
+    const key = getFilterListTransferKey(list);
+    if (targetKeys.has(key)) {
+      return 'This filter list is listed twice: ' + (list.url || list.id);
+    }
+    targetKeys.add(key);
+
+    if (!list.url && !currentLists.some(item => getFilterListTransferKey(item) === key)) {
+      return 'Unknown filter list: ' + list.id;
+    }
+  }
+
+  if (currentLists.some(list => list.builtIn && !targetKeys.has(getFilterListTransferKey(list)))) {
+    return 'Built-in filter lists can only be disabled';
+  }
+
+  return null;
+}
+
+// Function to store the state an import leads to, in the same stores the rest of the extension uses.
+// The filter list changes are checked first so an import that cannot be completed changes nothing.
+function applySettingsImport(current, target) {
+  const filterListError = getFilterListImportError(current.filterLists, target.filterLists);
+  if (filterListError) {
+    return Promise.reject(new Error(filterListError));
+  }
+
+  const steps = [
+    new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ adGuardEnabled: target.defaultEnabled }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    }),
+    saveSiteLists({ enabledSites: target.enabledSites, disabledSites: target.disabledSites }),
+    saveSiteOverlayModes(target.siteOverlayModes),
+    saveSettings(target.settings)
+  ];
+  if (target.customRules !== current.customRules) {
+    steps.push(setCustomFilterRules(target.customRules));
+  }
+
+  return Promise.all(steps)
+    .then(() => {
+      extensionEnabled = target.defaultEnabled;
+      return applyFilterListImport(current.filterLists, target.filterLists);
+    });
+}
+
+// How long a tab gets to acknowledge an enable/disable change
+const STATE_BROADCAST_TIMEOUT_MS = 2000;
+
+// Web tabs that did not acknowledge the last enable/disable change, by tab id: { tabId, title, url }.
+// Their content script is missing (installed or updated after the tab was opened) and needs a reload.
+const tabsNeedingReload = new Map();
+
+// Function to check whether the content script is expected to run in a tab
+function isContentScriptTab(tab) {
+  return !tab.discarded && /^https?:/.test(tab.url || '');
+}
+
+// Function to push an enable/disable change to every open tab. The message reaches every frame running
+// the content script and each frame resolves the state for its own hostname; the tab's answer is its
+// acknowledgement. Resolves to the tabs that did not answer.
+function broadcastSiteState() {
+  return new Promise((resolve) => {
+    chrome.tabs.query({}, (tabs) => resolve(tabs || []));
+  }).then(tabs => Promise.all(tabs.filter(isContentScriptTab).map(tab => new Promise((resolve) => {
+    let settled = false;
+    
+    const finish = (acknowledged) => {
+      if (settled) return;
+      settled = true;
+      
+      if (acknowledged) {
+        tabsNeedingReload.delete(tab.id);
+      } else {
+        tabsNeedingReload.set(tab.id, { tabId: tab.id, title: tab.title || tab.url, url: tab.url });
+      }
+      resolve();
+    };
+    
+    const timeout = setTimeout(() => finish(false), STATE_BROADCAST_TIMEOUT_MS);
+    
+    chrome.tabs.sendMessage(tab.id, { action: 'siteStateChanged' }, (response) => {
+      clearTimeout(timeout);
+      finish(!chrome.runtime.lastError && !!response && response.status === 'applied');
+    });
+  })))).then(() => Array.from(tabsNeedingReload.values()));
+}
+
+// Toolbar badge colors: overlays on the page, a confirmed countdown that is still running, and a pause
+const BADGE_COLORS = {
+  overlays: '#c0392b',
+  countdown: '#f39c12',
+  paused: '#7f8c8d'
+};
+
+// Function to show a tab's overlay count on the toolbar badge, a timer while a countdown runs or a pause sign.
+// The count goes in the tooltip during a countdown since the badge only fits a few characters.
+function updateTabBadge(tabId, state) {
+  const count = Math.max(0, parseInt(state.overlayCount, 10) || 0);
+  const countText = count > 99 ? '99+' : String(count);
+  const covered = count === 1 ? '1 ad covered' : count + ' ads covered';
+  
+  let text = count > 0 ? countText : '';
+  let title = 'Ad Click Guard: ' + covered;
+  let color = BADGE_COLORS.overlays;
+  if (state.paused) {
+    text = '\u23F8';
+    title = 'Ad Click Guard: paused ' + (state.paused.until
+      ? 'until ' + new Date(state.paused.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : 'until the page is reloaded');
+    color = BADGE_COLORS.paused;
+  } else if (state.countdownActive) {
+    text = '\u23F1';
+    title = 'Ad Click Guard: countdown running, ' + covered;
+    color = BADGE_COLORS.countdown;
+  }
+  
+  chrome.action.setBadgeBackgroundColor({ tabId, color });
+  chrome.action.setBadgeText({ tabId, text });
+  chrome.action.setTitle({ tabId, title: text ? title : 'Ad Click Guard' });
+}
+
+// Badge states last reported by each frame of a tab: tabId -> Map of frameId -> state
+const tabBadgeFrames = new Map();
+
+// Function to record one frame's badge state, null when the frame unloaded, and show the tab's combined state:
+// the overlay counts of all its frames added up, a countdown running in any of them and a pause
+function updateFrameBadge(tabId, frameId, state) {
+  const frames = tabBadgeFrames.get(tabId) || new Map();
+  if (state) {
+    frames.set(frameId, state);
+  } else {
+    frames.delete(frameId);
+  }
+  
+  if (frames.size === 0) {
+    tabBadgeFrames.delete(tabId);
+  } else {
+    tabBadgeFrames.set(tabId, frames);
+  }
+  
+  const combined = { overlayCount: 0, countdownActive: false, paused: null };
+  frames.forEach(frameState => {
+    combined.overlayCount += Math.max(0, parseInt(frameState.overlayCount, 10) || 0);
+    combined.countdownActive = combined.countdownActive || !!frameState.countdownActive;
+    combined.paused = combined.paused || frameState.paused || null;
+  });
+  updateTabBadge(tabId, combined);
+}
+
+// Function to take a tab's badge back to the default when it navigates away
+function clearTabBadge(tabId) {
+  tabBadgeFrames.delete(tabId);
+  chrome.action.setBadgeText({ tabId, text: '' }, () => {
+    // The tab may have closed in the meantime
+    void chrome.runtime.lastError;
+  });
+  chrome.action.setTitle({ tabId, title: 'Ad Click Guard' }, () => {
+    void chrome.runtime.lastError;
+  });
+}
+
+// Choices offered in the popup for a timed pause, in minutes
+const PAUSE_DURATIONS_MINUTES = [1, 5, 15];
+
+// Function to get the hostname of a web page tab, null for browser pages
+function getTabHostname(tab) {
+  try {
+    const url = new URL(tab.url || '');
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Function to keep the running pauses in session storage
+function saveSitePauses() {
+  if (chrome.storage.session) {
+    chrome.storage.session.set({ sitePauses, pausedTabs });
+  }
+}
+
+// Function to find the pause that applies to a frame: { until, untilReload } or null. A frame is paused when its
+// tab is paused until reload, or when its own hostname or its tab's site has a timed pause that has not ended.
+function getPause(hostname, tab) {
+  const now = Date.now();
+  Object.keys(sitePauses).forEach(site => {
+    if (sitePauses[site] <= now) delete sitePauses[site];
+  });
+  
+  if (tab && pausedTabs.includes(tab.id)) {
+    return { until: null, untilReload: true };
+  }
+  
+  const sites = [hostname, tab ? getTabHostname(tab) : null].filter(Boolean).map(normalizeSitePattern);
+  const until = Math.max(0, ...sites.map(site => sitePauses[site] || 0));
+  return until ? { until, untilReload: false } : null;
+}
+
+// Function to find the tab a message is about: the sending tab for content scripts, the tab the popup names
+function getRequestTab(request, sender) {
+  return sender.tab || (typeof request.tabId === 'number' ? { id: request.tabId } : null);
+}
+
+// Function to pause protection on a site for some minutes, or in one tab until it is reloaded (minutes null).
+// Sites locked by policy cannot be paused.
+function pauseSite(hostname, tabId, minutes) {
+  const site = normalizeSitePattern(hostname || '');
+  if (!site) {
+    throw new Error('Only websites can be paused');
+  }
+  if (getSiteStatus(hostname).site.managed) {
+    throw new Error('This site is ' + MANAGED_POLICY_NOTE.toLowerCase());
+  }
+  
+  if (minutes === null) {
+    if (typeof tabId !== 'number') {
+      throw new Error('A pause until reload needs a tab');
+    }
+    if (!pausedTabs.includes(tabId)) pausedTabs.push(tabId);
+  } else if (PAUSE_DURATIONS_MINUTES.includes(minutes)) {
+    sitePauses[site] = Date.now() + minutes * 60 * 1000;
+  } else {
+    throw new Error('Pauses last ' + PAUSE_DURATIONS_MINUTES.join(', ') + ' minutes or until reload');
+  }
+  saveSitePauses();
+}
+
+// Function to end the pauses of a site and of a tab before their time
+function resumeSite(hostname, tabId) {
+  delete sitePauses[normalizeSitePattern(hostname || '')];
+  pausedTabs = pausedTabs.filter(id => id !== tabId);
+  saveSitePauses();
+}
+
+// Function to write an element picker result as a rule for the site's registrable domain:
+// "example.com##selector" to cover matching elements, "example.com#@#selector" to never cover them
+function createPickedRule(hostname, selector, type) {
+  // Rules cover the whole site (www.shop.example.com saves for example.com), an IP address only itself
+  const normalized = normalizeHostname(hostname || '');
+  const domain = /^\d+(?:\.\d+){3}$/.test(normalized) ? normalized : getBaseDomain(normalized);
+  if (!domain || !isValidRuleDomain(domain)) {
+    throw new Error('Rules can only be added for websites');
+  }
+  if (typeof selector !== 'string' || !selector.trim() || /[\r\n]/.test(selector)) {
+    throw new Error('Invalid selector');
+  }
+  if (type !== 'hide' && type !== 'exception') {
+    throw new Error('Rule type must be hide or exception');
+  }
+  
+  const rule = domain + (type === 'hide' ? '##' : '#@#') + selector.trim();
+  const parsed = splitCosmeticRule(rule);
+  if (!parsed || parsed.domains !== domain || parsed.selector !== selector.trim()) {
+    throw new Error('Invalid selector');
+  }
+  return rule;
+}
+
+// Page context menu entries and the content script action each one sends. allFrames entries go to
+// every frame of the tab, the others to the top frame, see sendTabAction.
+const CONTEXT_MENU_ITEMS = [
+  { id: 'mark-ad', title: 'Mark this as ad', action: 'markContextElementAsAd' },
+  { id: 'unmark-ad', title: 'This is not an ad (remove overlay)', action: 'unmarkContextElement' },
+  { id: 'reveal-overlays', title: 'Temporarily reveal overlays on this page', action: 'revealOverlays', allFrames: true },
+  { id: 'copy-report', title: 'Copy detection report', action: 'copyDetectionReport' },
+  { id: 'pick-element', title: 'Pick an element to cover or never cover', action: 'startElementPicker' }
+];
+
+// Keyboard commands declared in manifest.json that are carried out by the content script, in the same
+// shape as CONTEXT_MENU_ITEMS. toggle-site-protection is handled here, see toggleSiteProtection.
+const COMMAND_ACTIONS = {
+  'toggle-overlay-peek': { action: 'toggleOverlayPeek', allFrames: true },
+  'focus-action-button': { action: 'focusActionButton' },
+  'show-ad-bounding-boxes': { action: 'toggleAdBoundingBoxes', allFrames: true }
+};
+
+// Function to send a context menu or command action to a tab, to every frame or to the top frame. The content
+// script only runs in the top frame (no all_frames in manifest.json), details are added to the message.
+function sendTabAction(tabId, item, details) {
+  const options = item.allFrames ? {} : { frameId: 0 };
+  chrome.tabs.sendMessage(tabId, { action: item.action, ...details }, options, (response) => {
+    // Pages opened before the extension was installed have no content script until reloaded
+    if (chrome.runtime.lastError) {
+      console.log('Action ' + item.action + ' not delivered:', chrome.runtime.lastError.message);
+    } else if (response && response.error) {
+      console.log('Action ' + item.action + ' failed:', response.error);
+    }
+  });
+}
+
+// Function to turn protection on or off for a hostname from the keyboard, the same change the popup's
+// site menu makes. Sites locked by policy are left as they are.
+function toggleSiteProtection(hostname) {
+  return settingsLoadPromise
+    .then(() => {
+      if (getSiteStatus(hostname).site.managed) {
+        throw new Error('This site is ' + MANAGED_POLICY_NOTE.toLowerCase());
+      }
+      return saveSiteLists(toggleSiteMode({ adGuardEnabled: extensionEnabled, enabledSites, disabledSites }, hostname));
+    })
+    .then(() => broadcastSiteState())
+    .then(() => getSiteStatus(hostname));
+}
+
+// Function to add the extension's entries to the page context menu
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        id: item.id,
+        title: item.title,
+        contexts: ['page', 'frame', 'link', 'image', 'video'],
+        documentUrlPatterns: ['http://*/*', 'https://*/*']
+      });
+    });
+  });
+}
+
+// Function to tell every open tab that the active rules changed, so pages pick up new selectors without a reload
+function broadcastFiltersUpdated() {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { action: 'filtersUpdated' }, () => {
+        // Tabs without the content script (chrome:// pages, the store) cannot receive it
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+}
+
 // Listen for messages from popup or content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getStatus') {
-    // Return current status
-    sendResponse({ enabled: extensionEnabled });
+    // Return the effective state for the asking page's hostname, or the default when none is given.
+    // The popup names the active tab so a pause until reload can be reported.
+    settingsLoadPromise.then(() => {
+      sendResponse(getSiteStatus(request.hostname, getRequestTab(request, sender)));
+    });
     return true; // Keep message channel open for async response
   } 
+  else if (request.action === 'pauseSite' || request.action === 'resumeSite') {
+    // Popup: { hostname, tabId, minutes } pauses the site for 1, 5 or 15 minutes, or the tab until reload
+    // when minutes is null; resumeSite ends both early. Content scripts stop and restart themselves.
+    settingsLoadPromise
+      .then(() => {
+        if (request.action === 'pauseSite') {
+          pauseSite(request.hostname, request.tabId, request.minutes);
+        } else {
+          resumeSite(request.hostname, request.tabId);
+        }
+        return broadcastSiteState();
+      })
+      .then(needsReload => sendResponse({ status: 'success', ...getSiteStatus(request.hostname, getRequestTab(request, sender)), needsReload }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
   else if (request.action === 'toggleExtension') {
-    // Update the extension state
-    extensionEnabled = request.enabled;
-    
-    // Save to storage
-    chrome.storage.sync.set({ 
-      adGuardEnabled: extensionEnabled 
-    }, () => {
-      console.log('Extension state saved to storage:', extensionEnabled);
+    // Update the default state for all sites outside the site lists, once the stored state has been read
+    // so a worker woken by this message does not overwrite it with the old value
+    settingsLoadPromise.then(() => {
+      if (isDefaultManaged(managedPolicy)) {
+        throw new Error('The default for all sites is ' + MANAGED_POLICY_NOTE.toLowerCase());
+      }
+      
+      extensionEnabled = request.enabled;
+      
+      // Save to storage
+      chrome.storage.sync.set({ 
+        adGuardEnabled: extensionEnabled 
+      }, () => {
+        console.log('Extension state saved to storage:', extensionEnabled);
+      });
+      
+      // Push the change to every tab, then report back which tabs need a reload
+      return broadcastSiteState();
+    }).then(needsReload => {
+      sendResponse({ status: 'success', ...getSiteStatus(request.hostname, getRequestTab(request, sender)), needsReload });
+    }).catch(error => {
+      sendResponse({ error: error.message, ...getSiteStatus(request.hostname, getRequestTab(request, sender)), needsReload: [] });
     });
-    
-    // Send response back
-    sendResponse({ status: 'success', enabled: extensionEnabled });
     return true; // Keep message channel open for async response
   }
   else if (request.action === 'getState') {
     // Alternative method to get state
-    sendResponse({ enabled: extensionEnabled });
+    settingsLoadPromise.then(() => {
+      sendResponse(getSiteStatus(request.hostname));
+    });
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'setSiteState') {
+    // Popup: always on, never on, or back to the default for one hostname
+    settingsLoadPromise
+      .then(() => {
+        if (getSiteStatus(request.hostname).site.managed) {
+          throw new Error('This site is ' + MANAGED_POLICY_NOTE.toLowerCase());
+        }
+        return saveSiteLists(setSiteMode({ enabledSites, disabledSites }, request.hostname, request.mode));
+      })
+      .then(() => broadcastSiteState())
+      .then(needsReload => sendResponse({ status: 'success', ...getSiteStatus(request.hostname, getRequestTab(request, sender)), needsReload }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'setSiteOverlayMode') {
+    // Popup: the overlay style for one hostname, or back to the appearance setting with a null mode
+    if (request.mode !== null && !SETTINGS_SCHEMA.appearance.overlayMode.values.includes(request.mode)) {
+      sendResponse({ error: 'Unknown overlay style: ' + request.mode });
+      return true; // Keep message channel open for async response
+    }
+    
+    settingsLoadPromise
+      .then(() => {
+        if (isSettingManaged(managedSettings, 'appearance', 'overlayMode')) {
+          throw new Error('The overlay style is ' + MANAGED_POLICY_NOTE.toLowerCase());
+        }
+        return saveSiteOverlayModes(setSiteOverlayMode(siteOverlayModes, request.hostname, request.mode));
+      })
+      .then(() => broadcastSiteState())
+      .then(needsReload => sendResponse({ status: 'success', ...getSiteStatus(request.hostname, getRequestTab(request, sender)), needsReload }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'updateBadge') {
+    // Content script: overlay count and countdown state of its frame for the tab's toolbar badge
+    if (sender.tab) {
+      updateFrameBadge(sender.tab.id, sender.frameId || 0, {
+        overlayCount: request.overlayCount,
+        countdownActive: request.countdownActive,
+        paused: request.paused
+      });
+    }
+    sendResponse({ status: 'success' });
+  }
+  else if (request.action === 'clearFrameBadge') {
+    // Content script: its frame is unloading, its overlays no longer count towards the badge
+    if (sender.tab) {
+      updateFrameBadge(sender.tab.id, sender.frameId || 0, null);
+    }
+    sendResponse({ status: 'success' });
+  }
+  else if (request.action === 'exportSettings') {
+    // Options page: everything the user configured as one JSON document
+    getTransferableState()
+      .then(state => sendResponse({ exported: createSettingsExport(state) }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'previewSettingsImport') {
+    // Options page: what importing { exported, mode } would change, without changing anything
+    prepareSettingsImport(request.exported, request.mode)
+      .then(({ changes }) => sendResponse({ changes }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'importSettings') {
+    let changes = [];
+    prepareSettingsImport(request.exported, request.mode)
+      .then(prepared => {
+        changes = prepared.changes;
+        return applySettingsImport(prepared.current, prepared.target);
+      })
+      .then(() => {
+        broadcastFiltersUpdated();
+        return broadcastSiteState();
+      })
+      .then(needsReload => sendResponse({ status: 'success', changes, needsReload }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getTabsNeedingReload') {
+    sendResponse({ tabs: Array.from(tabsNeedingReload.values()) });
+  }
+  else if (request.action === 'getSiteSettings') {
+    settingsLoadPromise.then(() => {
+      sendResponse(getSiteSettingsResponse());
+    });
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'setSiteSettings') {
+    // Options page: replace both site lists and the "pattern mode" lines of the site overlay styles,
+    // refusing entries that are not hostnames or wildcard patterns
+    const enabled = sanitizeSitePatterns(request.enabledSites);
+    const disabled = sanitizeSitePatterns(request.disabledSites);
+    const invalid = enabled.invalid.concat(disabled.invalid);
+    const overlayModes = parseSiteOverlayModes(request.siteOverlayModes, SETTINGS_SCHEMA.appearance.overlayMode.values);
+    
+    if (invalid.length > 0) {
+      sendResponse({ error: 'Invalid site pattern: ' + invalid.join(', ') });
+      return true; // Keep message channel open for async response
+    }
+    if (overlayModes.invalid.length > 0) {
+      sendResponse({ error: 'Invalid site overlay style: ' + overlayModes.invalid.join(', ') });
+      return true; // Keep message channel open for async response
+    }
+    
+    settingsLoadPromise
+      .then(() => Promise.all([
+        saveSiteLists({ enabledSites: enabled.patterns, disabledSites: disabled.patterns }),
+        request.siteOverlayModes ? saveSiteOverlayModes(overlayModes.siteOverlayModes) : null
+      ]))
+      .then(() => broadcastSiteState())
+      .then(needsReload => sendResponse({ status: 'success', ...getSiteSettingsResponse(), needsReload }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getCosmeticSelectors') {
+    // Serve selectors merged from all enabled lists so tabs never download or parse them themselves.
+    // { hostname } -> { selectors, exceptions }: the generic selectors plus those written for the hostname,
+    // looked up in the lists compiled once here, and the selectors of elements never to cover there.
+    // The policy's rules are in once the policy has been read.
+    settingsLoadPromise
+      .then(() => Promise.all([
+        getCosmeticSelectorsForHostname(request.hostname),
+        getOverlayExceptionsForHostname(request.hostname)
+      ]))
+      .then(([selectors, exceptions]) => {
+        sendResponse({ selectors, exceptions });
+      })
+      .catch(error => {
+        console.error('Error getting cosmetic selectors:', error);
+        sendResponse({ selectors: [], exceptions: [], error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'classifyUrls') {
+    // Match page resource URLs against the network rules compiled here once for all tabs
+    settingsLoadPromise
+      .then(() => classifyUrlsForHostname(request.requests || [], request.hostname))
+      .then(matches => {
+        sendResponse({ matches });
+      })
+      .catch(error => {
+        console.error('Error classifying URLs:', error);
+        sendResponse({ matches: [], error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getFilterSources') {
+    // Explain overlays: find the rule line and list behind each selector
+    settingsLoadPromise
+      .then(() => findCosmeticFilterSources(request.selectors || [], request.hostname))
+      .then(sources => sendResponse({ sources }))
+      .catch(error => sendResponse({ sources: [], error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'addPickedRule') {
+    // Element picker: { hostname, selector, type } saved in the user's own rules, 'hide' to cover the
+    // element as an ad or 'exception' to never cover it
+    let rule;
+    try {
+      rule = createPickedRule(request.hostname, request.selector, request.type);
+    } catch (error) {
+      sendResponse({ error: error.message });
+      return true; // Keep message channel open for async response
+    }
+    
+    addCustomFilterRule(rule)
+      .then(rules => {
+        broadcastFiltersUpdated();
+        sendResponse({ status: 'success', rule, listId: CUSTOM_FILTER_LIST_ID, listTitle: CUSTOM_FILTER_LIST_TITLE, rules });
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'addProblemReport') {
+    // Content script: { report } about an element wrongly covered or a missed ad, queued for review
+    if (!sender.tab) {
+      sendResponse({ error: 'Reports are made from a page' });
+      return true; // Keep message channel open for async response
+    }
+    
+    getReportConfiguration(getTabHostname(sender.tab), sender.tab)
+      .then(configuration => addProblemReport(request.report, configuration))
+      .then(report => sendResponse({ status: 'success', id: report.id }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getProblemReports') {
+    loadProblemReports()
+      .then(reports => sendResponse({ reports }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'removeProblemReport' || request.action === 'clearProblemReports') {
+    // Options page: drop one triaged report by id, or the whole queue
+    (request.action === 'removeProblemReport' ? removeProblemReport(request.id) : clearProblemReports())
+      .then(reports => sendResponse({ status: 'success', reports }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'exportProblemReports') {
+    loadProblemReports()
+      .then(reports => sendResponse({ exported: createProblemReportExport(reports, chrome.runtime.getManifest().version) }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'logConfirmedClick') {
+    // Content script: an ad opened on purpose in the "click again or hold to open" mode
+    if (!sender.tab || !request.entry || typeof request.entry !== 'object') {
+      sendResponse({ error: 'Only clicks on a page are logged' });
+      return true; // Keep message channel open for async response
+    }
+    logConfirmedClick(request.entry)
+      .then(() => sendResponse({ status: 'success' }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getConfirmedClicks' || request.action === 'clearConfirmedClicks') {
+    // Options page: the log of ads opened on purpose, or an empty one after clearing it
+    (request.action === 'clearConfirmedClicks' ? updateConfirmedClicks(() => []) : loadConfirmedClicks())
+      .then(clicks => sendResponse({ clicks }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getFilterLists') {
+    getFilterListsInfo()
+      .then(lists => sendResponse({ lists }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'setFilterListEnabled') {
+    setFilterListEnabled(request.id, request.enabled)
+      .then(() => {
+        broadcastFiltersUpdated();
+        return getFilterListsInfo();
+      })
+      .then(lists => sendResponse({ status: 'success', lists }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'addFilterList') {
+    addFilterSubscription(request.url, request.title)
+      .then(() => {
+        broadcastFiltersUpdated();
+        return getFilterListsInfo();
+      })
+      .then(lists => sendResponse({ status: 'success', lists }))
+      .catch(error => sendResponse({ error: error.message }));
     return true; // Keep message channel open for async response
   }
+  else if (request.action === 'removeFilterList') {
+    removeFilterSubscription(request.id)
+      .then(() => {
+        broadcastFiltersUpdated();
+        return getFilterListsInfo();
+      })
+      .then(lists => sendResponse({ status: 'success', lists }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'updateFilterLists') {
+    updateAllFilterLists(true)
+      .then(() => {
+        broadcastFiltersUpdated();
+        return getFilterListsInfo();
+      })
+      .then(lists => sendResponse({ status: 'success', lists }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'getCustomFilters') {
+    settingsLoadPromise
+      .then(() => getCustomFilterRules())
+      .then(rules => sendResponse({ rules }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+  else if (request.action === 'setCustomFilters') {
+    setCustomFilterRules(request.text)
+      .then(rules => {
+        broadcastFiltersUpdated();
+        sendResponse({ status: 'success', rules });
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+});
+
+// Set up the filter list refresh schedule and bring stored settings up to date when the extension is installed or updated
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+  migrateStoredSettings();
+  scheduleFilterListUpdates();
+  updateAllFilterLists(false);
+});
+
+// Browser startup: the alarm survives restarts, but make sure a list is ready early
+chrome.runtime.onStartup.addListener(() => {
+  scheduleFilterListUpdates();
+  ensureFilterListsLoaded();
+});
+
+// Refresh filter lists whose "! Expires:" window has passed
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === FILTER_LIST_ALARM) {
+    updateAllFilterLists(false);
+  }
+});
+
+// Pass a context menu choice on to the content script of the right-clicked frame, which knows the element
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+  if (item && tab) {
+    // A click inside a frame is passed on with the frame's URL, the top frame finds the frame element by it
+    sendTabAction(tab.id, item, info.frameId ? { frameUrl: info.frameUrl } : {});
+  }
+});
+
+// Keyboard commands act on the active tab (shortcuts can be changed at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab) return;
+  
+  if (command === 'toggle-site-protection') {
+    const hostname = getTabHostname(tab);
+    if (!hostname) return;
+    
+    toggleSiteProtection(hostname)
+      .then(status => console.log('Protection ' + (status.enabled ? 'on' : 'off') + ' for', hostname))
+      .catch(error => console.log('Could not toggle protection for', hostname + ':', error.message));
+  } else if (COMMAND_ACTIONS[command]) {
+    sendTabAction(tab.id, COMMAND_ACTIONS[command], {});
+  }
+});
+
+// A reloaded or closed tab no longer needs a reload, and a navigating tab starts again with an empty badge
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    tabsNeedingReload.delete(tabId);
+    clearTabBadge(tabId);
+    
+    // A reload or navigation ends a pause until reload
+    if (pausedTabs.includes(tabId)) {
+      pausedTabs = pausedTabs.filter(id => id !== tabId);
+      saveSitePauses();
+    }
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabsNeedingReload.delete(tabId);
+  tabBadgeFrames.delete(tabId);
+  if (pausedTabs.includes(tabId)) {
+    pausedTabs = pausedTabs.filter(id => id !== tabId);
+    saveSitePauses();
+  }
 });
 
 // Update state when storage changes (sync across all contexts)
@@ -46,4 +1014,27 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     extensionEnabled = changes.adGuardEnabled.newValue;
     console.log('Extension state updated from storage change:', extensionEnabled);
   }
+  if (namespace === 'sync' && changes.enabledSites) {
+    enabledSites = changes.enabledSites.newValue || [];
+  }
+  if (namespace === 'sync' && changes.disabledSites) {
+    disabledSites = changes.disabledSites.newValue || [];
+  }
+  if (namespace === 'sync' && changes.siteOverlayModes) {
+    siteOverlayModes = changes.siteOverlayModes.newValue || {};
+  }
+  
+  // An administrator changed the policy: take it over and push it to every tab
+  if (namespace === 'managed') {
+    settingsLoadPromise
+      .then(() => Promise.all([loadManagedPolicy(), loadManagedSettings()]))
+      .then(([policy, lockedSettings]) => {
+        console.log('Managed policy updated');
+        managedSettings = lockedSettings;
+        if (applyManagedPolicy(policy)) {
+          broadcastFiltersUpdated();
+        }
+        return broadcastSiteState();
+      });
+  }
 });
\ No newline at end of file
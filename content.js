@@ -18,11 +18,33 @@
     initialize();
   }
 
-  // Configuration
+  // Configuration, filled from the appearance settings (see settings.js) by applySettings
   const CONFIG = {
-    highlightColor: '#FFD700', // Gold color for highlights
-    adOverlayColor: 'rgba(255, 0, 0, 0.25)', // Red with low opacity for ad overlays
-    filterListUrl: 'https://easylist-downloads.adblockplus.org/easyprivacy+easylist.txt'
+    highlightColor: '#4ade80' // Green for the countdown highlight
+  };
+  
+  // Overlay changes within this window are reported to the toolbar badge together
+  const BADGE_UPDATE_DELAY_MS = 250;
+  
+  // How long "Temporarily reveal overlays" makes the overlays see-through
+  const OVERLAY_REVEAL_MS = 15000;
+  
+  // How long an element pointed out to the user (action button, popup entry) is outlined
+  const ELEMENT_FLASH_MS = 1500;
+  
+  // Wait after a pause's end time before asking the background, so the pause has ended there too
+  const PAUSE_END_MARGIN_MS = 250;
+  
+  // Problem reports: longest element snippet sent, longest text kept from each text node and attribute,
+  // and the attributes holding addresses whose query strings are dropped
+  const REPORT_SNIPPET_LIMIT = 4000;
+  const REPORT_TEXT_LIMIT = 120;
+  const REPORT_URL_ATTRIBUTES = ['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'data-src', 'data-href'];
+  
+  // Element picker started from the popup's "Report a missed ad"
+  const REPORT_PICKER_OPTIONS = {
+    title: 'Ad Click Guard: pick the ad that was not covered',
+    actions: [{ type: 'report', label: 'Report as missed ad' }]
   };
 
   // State variables
@@ -41,18 +63,63 @@
   let mutationQueue = []; // Queue for mutations to process in batches
   let mutationProcessingScheduled = false; // Flag to ensure only one batch process is scheduled
   let countdownWatcher = null; // Countdown watcher instance
+  let badgeUpdateTimeout = null; // Pending toolbar badge report
+  let lastBadgeState = null; // Last overlay count and countdown state sent to the background
+  let settings = getDefaultSettings(); // Tunable settings from the options page
+  let contextMenuTarget = null; // Element last right-clicked, for the context menu actions
+  let overlayRevealTimeout = null; // Ends a temporary reveal of the overlays
+  let reportElements = { overlay: [], countdown: null, actionButton: null }; // Elements behind the last page report
+  let pausedState = null; // Pause started from the popup: { until, untilReload }, null when not paused
+  let pauseTimeout = null; // Restarts protection when a timed pause ends
+  let siteOverlayMode = null; // Overlay style chosen for this site: { mode, pattern }, null for the appearance setting
 
 
 
   function initialize() {
+    // Remember what the context menu was opened on, the background only says which entry was chosen
+    document.addEventListener('contextmenu', (event) => {
+      contextMenuTarget = event.target;
+    }, true);
+    
+    // Clicks on overlays only do something in the "click again or hold to open" mode of the settings
+    window.overlayConfirm.startOverlayConfirm(logConfirmedClick);
+    
     // Load configuration and start immediately without waiting for full page load
-    loadConfiguration().then(() => {
+    Promise.all([loadConfiguration(), loadSettings()]).then(([, loadedSettings]) => {
       console.log('Content script initialized, current enabled state:', isEnabled);
       isInitialized = true; // Mark as initialized
+      applySettings(loadedSettings);
       
       // Listen for messages from popup
       chrome.runtime.onMessage.addListener(handleMessage);
       
+      // Settings saved in the options page, or locked by a policy update, apply to the open page straight away
+      chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (isSettingsChange(changes, namespace)) {
+          loadSettings().then(applySettings);
+        }
+      });
+      
+      // Keep the toolbar badge in step with the overlays placed by adDetection.js
+      window.adDetection.setOverlayChangeListener(scheduleBadgeUpdate);
+      
+      // Take this frame's overlays off the toolbar badge when it unloads. A page restored from the
+      // back/forward cache keeps its overlays, so they are reported again.
+      window.addEventListener('pagehide', () => {
+        try {
+          chrome.runtime.sendMessage({ action: 'clearFrameBadge' }, () => {
+            void chrome.runtime.lastError;
+          });
+        } catch (e) {
+          // The extension was reloaded or updated and this content script is orphaned
+        }
+      });
+      window.addEventListener('pageshow', (event) => {
+        if (event.persisted) {
+          reportBadgeState(true);
+        }
+      });
+      
       // Start the extension if enabled
       if (isEnabled) {
         startAdGuard();
@@ -63,8 +130,35 @@
     });
   }
 
+  // Get the CountdownWatcher options from the countdown settings and the highlight color
+  function getCountdownWatcherOptions() {
+    return {
+      ...settings.countdown,
+      highlightColor: settings.appearance.highlightColor
+    };
+  }
+  
+  // Put new settings into effect: colors, countdown timings and score thresholds, existing overlays included
+  function applySettings(newSettings) {
+    settings = newSettings;
+    CONFIG.highlightColor = settings.appearance.highlightColor;
+    
+    window.adDetection.applyDetectionSettings(settings);
+    applyOverlayMode();
+    window.overlayConfirm.setOverlayClickSettings(settings.interaction);
+    adElements.forEach(overlay => {
+      if (overlay !== true) {
+        window.adDetection.applyOverlayColors(overlay);
+      }
+    });
+    
+    if (countdownWatcher) {
+      countdownWatcher.updateOptions(getCountdownWatcherOptions());
+    }
+  }
+  
   function loadConfiguration() {
-    // Content scripts can't directly access chrome.storage, so we need to get the state from background
+    // The background resolves the site lists for this page, so the state comes from there rather than from storage
     return new Promise((resolve) => {
       // Check if chrome.runtime is available before making calls
       if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
@@ -86,7 +180,8 @@
       
       function requestState() {
         attempts++;
-        chrome.runtime.sendMessage({action: 'getStatus'}, (response) => {
+        // The background resolves the site lists and the default for this page's hostname
+        chrome.runtime.sendMessage({action: 'getStatus', hostname: window.location.hostname}, (response) => {
           if (chrome.runtime.lastError) {
             console.log(`Attempt ${attempts}: Error getting state from extension:`, chrome.runtime.lastError.message);
             if (attempts < maxAttempts) {
@@ -105,7 +200,7 @@
               resolve();
             }
           } else if (response && response.enabled !== undefined) {
-            isEnabled = response.enabled;
+            isEnabled = applySiteStatus(response);
             console.log('Received state from extension:', isEnabled);
             
             // Update the global extension state for CountdownWatcher
@@ -147,86 +242,171 @@
       return filterLoadPromise;
     }
     
-    filterLoadPromise = fetch(CONFIG.filterListUrl)
-      .then(response => response.text())
-      .then(text => {
-        // Use the parseCosmeticFilters function from adDetection.js with current hostname
-        cosmeticSelectors = window.adDetection.parseCosmeticFilters(text, window.location.hostname);
-        filterListLoaded = true;
-        console.log('Filter list loaded with', cosmeticSelectors.length, 'cosmetic selectors');
-        return cosmeticSelectors;
-      })
-      .catch(error => {
-        console.error('Failed to load filter list:', error);
-        // Fallback to some common ad selectors if loading fails
-        cosmeticSelectors = [
-          '.adsbygoogle',
-          '.ad-container',
-          '.advertisement',
-          '.ad-placement',
-          '.google-ads',
-          '.adsense',
-          '.doubleclick',
-          '.ad-slot',
-          '.ad-banner',
-          '.ad-box',
-          '.ad-unit',
-          '.pub_300x250',
-          '.pub_300x250m',
-          '.pub_728x90',
-          '.text-ad',
-          '.text-ad-links',
-          '.text-ads',
-          '.text-adv',
-          '[id*="ad" i]',
-          '[class*="ad" i]',
-          '[id*="advertisement" i]',
-          '[class*="advertisement" i]',
-          '[id*="banner" i]',
-          '[class*="banner" i]',
-          '[data-ad-client]',
-          '[data-google-ads]',
-          '[data-ad-slot]',
-          '[data-ad-format]',
-          '.afs_ads',
-          '.adsbygoogle',
-          '.google_ads',
-          '.googlesyndication'
-        ];
+    // The background service worker owns the filter lists (bundled baseline, caches and scheduled
+    // updates) and hands back the merged selectors of all enabled lists for this hostname
+    filterLoadPromise = new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        action: 'getCosmeticSelectors',
+        hostname: window.location.hostname
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to load filter list:', chrome.runtime.lastError.message);
+          cosmeticSelectors = [];
+        } else if (response && Array.isArray(response.selectors)) {
+          cosmeticSelectors = response.selectors;
+          console.log('Filter list loaded with', cosmeticSelectors.length, 'cosmetic selectors');
+        } else {
+          console.error('Failed to load filter list:', response && response.error);
+          cosmeticSelectors = [];
+        }
+        // Site exceptions (#@#) mark elements that are never covered, e.g. those saved with the element picker
+        window.adDetection.setOverlayExceptions(response && Array.isArray(response.exceptions) ? response.exceptions : []);
         filterListLoaded = true;
-        return cosmeticSelectors;
+        resolve(cosmeticSelectors);
       });
+    });
     
     return filterLoadPromise;
   }
   
-
-
-  function handleMessage(request, sender, sendResponse) {
-    if (request.action === 'toggleExtension') {
-      console.log('Content script received toggle request, enabled:', request.enabled);
-      const wasEnabled = isEnabled;
-      isEnabled = request.enabled;
+  // Reload the selectors after the filter lists or the user's own rules changed, then check the page again
+  function refreshFilters() {
+    filterLoadPromise = null;
+    
+    // A disabled page loads the new selectors the next time it is enabled
+    if (!isEnabled || !isInitialized) {
+      filterListLoaded = false;
+      return;
+    }
+    
+    window.adDetection.cancelAdDetection();
+    
+    loadFilterList().then(() => {
+      if (!isEnabled) return;
       
-      // Update the global extension state for CountdownWatcher
-      window.safeUrlExtensionEnabled = isEnabled;
+      // Drop overlays created by rules, the run below puts back the ones whose rule still applies
+      window.adDetection.getDetectionReport().forEach(({ anchor, overlay, reason }) => {
+        if (reason && reason.source !== 'heuristic') {
+          window.adDetection.removeAdOverlay(anchor, overlay);
+        }
+      });
+      window.adDetection.clearNetworkFilterMatches();
+      window.proceduralFilters.resetProceduralMatches();
       
-      if (isEnabled) {
-        console.log('Enabling Ad Guard');
-        // Only start if already initialized, otherwise wait for initialization
-        if (isInitialized) {
-          startAdGuard();
-        } else {
-          // If not initialized yet, load configuration first, then start
-          loadConfiguration().then(() => {
-            isInitialized = true;
-            startAdGuard();
-          });
+      detectionInProgress = false;
+      idleState = false;
+      detectAndOverlayAds();
+      classifyPageResources(document).then(elements => {
+        elements.forEach(checkElementForAds);
+      });
+    });
+  }
+  
+  // Ask the background to match the iframe, script, image and link URLs under root against the
+  // network rules, resolving to the elements whose URL matched a blocking rule
+  function classifyPageResources(root) {
+    const pending = window.adDetection.collectUnclassifiedResources(root);
+    if (pending.length === 0) {
+      return Promise.resolve([]);
+    }
+    
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        action: 'classifyUrls',
+        hostname: window.location.hostname,
+        requests: pending.map(item => item.request)
+      }, (response) => {
+        if (chrome.runtime.lastError || !response || !Array.isArray(response.matches)) {
+          console.debug('Failed to classify resource URLs:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          resolve([]);
+          return;
         }
+        
+        window.adDetection.recordNetworkFilterMatches(pending, response.matches);
+        resolve(pending.filter((item, index) => response.matches[index]).map(item => item.element));
+      });
+    });
+  }
+  
+  // Take the site's overlay style and the pause from a getStatus response and return whether protection should run:
+  // a paused site counts as off until the pause ends, and a timed pause asks the background again when it should have ended
+  function applySiteStatus(response) {
+    siteOverlayMode = response.overlayMode || null;
+    applyOverlayMode();
+    
+    const paused = response.paused || null;
+    if (JSON.stringify(paused) !== JSON.stringify(pausedState)) {
+      pausedState = paused;
+      scheduleBadgeUpdate();
+    }
+    
+    clearTimeout(pauseTimeout);
+    pauseTimeout = null;
+    if (pausedState && pausedState.until) {
+      pauseTimeout = setTimeout(refreshSiteStatus, Math.max(0, pausedState.until - Date.now()) + PAUSE_END_MARGIN_MS);
+    }
+    
+    return response.enabled && !pausedState;
+  }
+  
+  // Switch the overlays, existing ones included, to the site's own overlay style or the appearance setting
+  function applyOverlayMode() {
+    window.adDetection.setOverlayMode(siteOverlayMode ? siteOverlayMode.mode : settings.appearance.overlayMode);
+    
+    // Measure this script's overlays again too, they kept their last height while collapsed
+    adElements.forEach((overlay, element) => {
+      // true marks an overlay still being created
+      if (overlay !== true) {
+        updateOverlayPosition(overlay, element);
+      }
+    });
+  }
+  
+  // Ask the background for this frame's state again and switch protection to match
+  function refreshSiteStatus(callback) {
+    chrome.runtime.sendMessage({ action: 'getStatus', hostname: window.location.hostname }, (response) => {
+      if (chrome.runtime.lastError || !response || response.enabled === undefined) {
+        if (callback) callback(false);
+        return;
+      }
+      
+      const enabled = applySiteStatus(response);
+      if (enabled !== isEnabled) {
+        applyEnabledState(enabled);
+      }
+      if (callback) callback(true);
+    });
+  }
+  
+  // Switch protection on or off for this frame
+  function applyEnabledState(enabled) {
+    isEnabled = enabled;
+    
+    // Update the global extension state for CountdownWatcher
+    window.safeUrlExtensionEnabled = isEnabled;
+    
+    if (isEnabled) {
+      console.log('Enabling Ad Guard');
+      // Only start if already initialized, otherwise wait for initialization
+      if (isInitialized) {
+        startAdGuard();
       } else {
-        console.log('Disabling Ad Guard, removing all overlays and highlights');
-        stopAdGuard();
+        // If not initialized yet, load configuration first, then start
+        loadConfiguration().then(() => {
+          isInitialized = true;
+          startAdGuard();
+        });
       }
+    } else {
+      console.log('Disabling Ad Guard, removing all overlays and highlights');
+      stopAdGuard();
+    }
+  }
+  
+  function handleMessage(request, sender, sendResponse) {
+    if (request.action === 'toggleExtension') {
+      console.log('Content script received toggle request, enabled:', request.enabled);
+      applyEnabledState(request.enabled);
       
       // Send response back to confirm
       try {
@@ -234,9 +414,378 @@
       } catch (e) {
         console.debug('Could not send response:', e);
       }
+    } else if (request.action === 'getDetectionReport') {
+      // Live page report for the popup: every overlay and why it was created, the countdown and the action button
+      sendResponse({ status: 'success', enabled: isEnabled, ...createPageReport() });
+    } else if (request.action === 'showReportElement') {
+      // Popup: flash an entry of the last report on the page when hovered, and scroll to it when clicked
+      sendResponse(showReportElement(request.kind, request.index, request.scroll));
+    } else if (request.action === 'siteStateChanged') {
+      // The background pushes every enable/disable change and pause to all tabs; each frame resolves its own hostname
+      refreshSiteStatus((applied) => {
+        sendResponse(applied ? { status: 'applied', enabled: isEnabled } : { status: 'error' });
+      });
+    } else if (request.action === 'filtersUpdated') {
+      // Rules changed in the options page or a list was updated
+      refreshFilters();
+      sendResponse({ status: 'received' });
+    } else if (request.action === 'startElementPicker') {
+      // Sent from the popup to the top frame only, the picker works on the page the user sees.
+      // In 'report' mode the picked element is reported as a missed ad instead of saved as a rule.
+      if (request.mode === 'report') {
+        window.elementPicker.startElementPicker(({ element, selector }) => sendProblemReport('false-negative', element, selector),
+          REPORT_PICKER_OPTIONS);
+      } else {
+        window.elementPicker.startElementPicker(savePickedElement);
+      }
+      sendResponse({ status: 'started' });
+    } else if (request.action === 'reportProblem') {
+      // Popup: an overlay of the last page report covers something that is not an ad
+      const element = reportElements.overlay[request.index];
+      if (!element || !document.contains(element)) {
+        sendResponse({ error: 'The element is no longer on the page' });
+      } else {
+        sendProblemReport('false-positive', element, window.elementPicker.buildElementSelector(element)).then(sendResponse, error => {
+          console.warn('Could not report the overlay:', error.message);
+          sendResponse({ error: error.message });
+        });
+      }
+    } else if (request.action === 'markContextElementAsAd') {
+      markContextElementAsAd(request.frameUrl).then(sendResponse, error => {
+        console.warn('Could not mark the element as an ad:', error.message);
+        sendResponse({ error: error.message });
+      });
+    } else if (request.action === 'unmarkContextElement') {
+      unmarkContextElement(request.frameUrl).then(sendResponse, error => {
+        console.warn('Could not remove the overlay:', error.message);
+        sendResponse({ error: error.message });
+      });
+    } else if (request.action === 'revealOverlays') {
+      revealOverlaysTemporarily();
+      sendResponse({ status: 'revealed' });
+    } else if (request.action === 'toggleOverlayPeek') {
+      // Keyboard command: hide every overlay until the command is used again
+      const peeking = document.documentElement.classList.toggle('ad-click-guard-peek');
+      sendResponse({ status: 'success', peeking });
+    } else if (request.action === 'focusActionButton') {
+      sendResponse(focusActionButton());
+    } else if (request.action === 'toggleAdBoundingBoxes') {
+      // Keyboard command: debug boxes around the covered elements, drawn where they are now
+      const visualizer = document.getElementById('ad-debug-visualizer');
+      if (visualizer) {
+        visualizer.remove();
+      } else {
+        window.adDetection.visualizeAdBoundingBoxes();
+      }
+      sendResponse({ status: 'success', visible: !visualizer });
+    } else if (request.action === 'copyDetectionReport') {
+      const report = {
+        url: window.location.href,
+        createdAt: new Date().toISOString(),
+        enabled: isEnabled,
+        ...createPageReport()
+      };
+      copyText(JSON.stringify(report, null, 2)).then(() => {
+        sendResponse({ status: 'copied', overlayCount: report.overlays.length });
+      }, error => {
+        console.warn('Could not copy the detection report:', error.message);
+        sendResponse({ error: error.message });
+      });
     }
     return true; // Required for async sendResponse
   }
+  
+  // Describe the page for the popup and the copied report: { overlays, countdown, actionButton }.
+  // The elements are kept so showReportElement can find them by the index the popup sends back.
+  function createPageReport() {
+    const detections = window.adDetection.getDetectionReport();
+    const state = countdownWatcher ? countdownWatcher.getState() : null;
+    const countdownElement = state && state.countdownElement && document.contains(state.countdownElement)
+      ? state.countdownElement
+      : null;
+    const actionButton = isEnabled && countdownWatcher
+      ? countdownWatcher.findActionButton(element => !!window.adDetection.getOverlayForElement(element))
+      : null;
+    
+    reportElements = { overlay: detections.map(({ anchor }) => anchor), countdown: countdownElement, actionButton };
+    
+    return {
+      overlays: detections.map(({ anchor, reason }) => {
+        const rect = anchor.getBoundingClientRect();
+        return {
+          tag: anchor.tagName.toLowerCase(),
+          id: anchor.id || '',
+          className: typeof anchor.className === 'string' ? anchor.className.substring(0, 80) : '',
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+          network: window.adDetection.getAdNetwork(anchor),
+          reason,
+          // Source name and detail lines as the overlay tooltip shows them
+          description: reason ? window.adDetection.describeDetectionReason(reason) : null
+        };
+      }),
+      countdown: countdownElement ? {
+        text: (countdownElement.textContent || '').trim().replace(/\s+/g, ' ').substring(0, 80),
+        remainingSeconds: state.remainingSeconds,
+        done: state.countdownDone
+      } : null,
+      actionButton: actionButton ? {
+        tag: actionButton.tagName.toLowerCase(),
+        label: (actionButton.value || actionButton.textContent || '').trim().replace(/\s+/g, ' ').substring(0, 80)
+      } : null
+    };
+  }
+  
+  // Point out an element of the last page report: kind is 'overlay' (with its index), 'countdown' or 'actionButton'
+  function showReportElement(kind, index, scroll) {
+    const element = kind === 'overlay' ? reportElements.overlay[index] : reportElements[kind];
+    if (!element || !document.contains(element)) {
+      return { error: 'The element is no longer on the page' };
+    }
+    
+    if (scroll) {
+      element.scrollIntoView({ behavior: settings.countdown.scrollBehavior, block: 'center' });
+    }
+    // A covered element is hidden under its overlay, so the overlay is the one that flashes
+    const covered = window.adDetection.getOverlayForElement(element);
+    flashElement(covered ? covered.overlay : element);
+    return { status: 'success' };
+  }
+  
+  // Find what the context menu was opened on. This script only runs in the top frame and does not see right-clicks
+  // inside a frame; for those the background sends the frame's URL, and the frame element on this page stands in.
+  function getContextMenuElement(frameUrl) {
+    if (!frameUrl) {
+      return contextMenuTarget;
+    }
+    
+    const withoutHash = url => url.split('#')[0];
+    const frames = Array.from(document.querySelectorAll('iframe[src], frame[src]'));
+    return frames.find(frame => frame.src === frameUrl) ||
+      frames.find(frame => withoutHash(frame.src) === withoutHash(frameUrl)) ||
+      null;
+  }
+  
+  // "Mark this as ad": cover the right-clicked element and save a hiding rule for it, like the element picker
+  function markContextElementAsAd(frameUrl) {
+    const element = getContextMenuElement(frameUrl);
+    if (!element || !document.contains(element)) {
+      return Promise.reject(new Error('No element was right-clicked on this page'));
+    }
+    if (window.adDetection.getOverlayForElement(element)) {
+      return Promise.resolve({ status: 'already-covered' });
+    }
+    
+    const selector = window.elementPicker.buildElementSelector(element);
+    return savePickedElement({ selector, type: 'hide', detector: 'context-menu' }).then(rule => ({ status: 'success', rule }));
+  }
+  
+  // "This is not an ad": remove the overlay the user right-clicked and save a "never cover" exception for its anchor
+  function unmarkContextElement(frameUrl) {
+    const element = getContextMenuElement(frameUrl);
+    const covered = element ? window.adDetection.getOverlayForElement(element) : null;
+    if (!covered) {
+      return Promise.reject(new Error('The right-clicked element is not covered'));
+    }
+    
+    const selector = window.elementPicker.buildElementSelector(covered.anchor);
+    return savePickedElement({ selector, type: 'exception' }).then(rule => ({ status: 'success', rule }));
+  }
+  
+  // Log an ad the user opened on purpose through its overlay, with where it led and why it was covered.
+  // The background keeps the log, the options page lists it.
+  function logConfirmedClick({ anchor, target, method, passthrough }) {
+    const link = target.closest('a[href]');
+    const covered = window.adDetection.getOverlayForElement(anchor);
+    const reason = covered ? covered.reason : null;
+    const entry = {
+      url: window.location.href,
+      method,
+      passthrough,
+      target: target.localName,
+      link: link ? link.href : (target.src || null),
+      network: window.adDetection.getAdNetwork(anchor),
+      reason: reason ? (reason.filter || reason.selector || reason.source) : null
+    };
+    console.log('Ad opened on purpose through its overlay:', entry);
+    
+    chrome.runtime.sendMessage({ action: 'logConfirmedClick', entry }, () => {
+      if (chrome.runtime.lastError) {
+        console.debug('Could not log the opened ad:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+  
+  // Outline an element for a moment so the user can spot it
+  function flashElement(element) {
+    element.classList.remove('ad-click-guard-flash');
+    // Restart the animation when the same element is flashed again
+    void element.offsetWidth;
+    element.classList.add('ad-click-guard-flash');
+    
+    clearTimeout(element._adClickGuardFlashTimeout);
+    element._adClickGuardFlashTimeout = setTimeout(() => {
+      element.classList.remove('ad-click-guard-flash');
+    }, ELEMENT_FLASH_MS);
+  }
+  
+  // Scroll to the page's action button ("Get Link", "Continue"), give it keyboard focus and outline it.
+  // Buttons under an overlay are ads dressed up as the real thing and are skipped.
+  function focusActionButton() {
+    if (!countdownWatcher) {
+      return { error: 'Protection is not running on this page' };
+    }
+    
+    const button = countdownWatcher.findActionButton(element => !!window.adDetection.getOverlayForElement(element));
+    if (!button) {
+      return { error: 'No action button found on this page' };
+    }
+    
+    if (button.tabIndex < 0 && !button.hasAttribute('tabindex')) {
+      button.setAttribute('tabindex', '-1');
+    }
+    button.scrollIntoView({ behavior: settings.countdown.scrollBehavior, block: 'center' });
+    button.focus({ preventScroll: true });
+    flashElement(button);
+    return { status: 'success', label: (button.value || button.textContent || '').trim().substring(0, 80) };
+  }
+  
+  // Make every overlay see-through for a while so the page underneath can be read. The overlays keep
+  // blocking clicks; the class is set on the root so overlays created meanwhile are see-through too.
+  function revealOverlaysTemporarily() {
+    document.documentElement.classList.add('ad-click-guard-revealed');
+    
+    clearTimeout(overlayRevealTimeout);
+    overlayRevealTimeout = setTimeout(() => {
+      overlayRevealTimeout = null;
+      document.documentElement.classList.remove('ad-click-guard-revealed');
+    }, OVERLAY_REVEAL_MS);
+  }
+  
+  // Put text on the clipboard, falling back to a selected textarea where the page is not focused
+  function copyText(text) {
+    const copyWithSelection = () => {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.position = 'fixed';
+      textarea.style.top = '-1000px';
+      (document.body || document.documentElement).appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      if (!copied) {
+        throw new Error('The clipboard is not available on this page');
+      }
+    };
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text).catch(copyWithSelection);
+    }
+    return new Promise(resolve => resolve(copyWithSelection()));
+  }
+  
+  // Save what the user picked as a rule for this site and apply it to the page right away:
+  // 'hide' covers the matching elements, 'exception' removes their overlays and keeps them uncovered
+  function savePickedElement({ selector, type, detector = 'element-picker' }) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'addPickedRule',
+        hostname: window.location.hostname,
+        selector,
+        type
+      }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.error) || 'Could not save the rule'));
+          return;
+        }
+        
+        if (type === 'exception') {
+          window.adDetection.addOverlayExceptions([selector]);
+        } else {
+          // A new array so the selector index is rebuilt with the picked selector
+          cosmeticSelectors = cosmeticSelectors.concat([selector]);
+          if (isEnabled) {
+            document.querySelectorAll(selector).forEach(element => {
+              const reason = window.adDetection.buildDetectionReason(element, detector, [selector]);
+              reason.source = 'cosmetic-filter';
+              reason.selector = selector;
+              reason.url = null;
+              window.adDetection.setDetectionReasonFilter(reason, {
+                filter: response.rule,
+                listId: response.listId,
+                listTitle: response.listTitle
+              });
+              window.adDetection.createAdOverlay(element, reason);
+            });
+            scheduleBadgeUpdate();
+          }
+        }
+        resolve(response.rule);
+      });
+    });
+  }
+
+  // Copy of an element's HTML that is safe to keep in a report: no scripts, styles or event handlers, no form
+  // values, no query strings in addresses, long text cut short and nothing the extension added to the page
+  function getSanitizedSnippet(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('script, style, noscript, template, [data-ad-element]').forEach(node => node.remove());
+    
+    [clone, ...clone.querySelectorAll('*')].forEach(node => {
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        if (/^on/i.test(name) || /^data-ad-click-guard-/.test(name) || ['value', 'nonce', 'integrity', 'srcdoc'].includes(name)) {
+          node.removeAttribute(name);
+        } else if (name === 'class') {
+          const classes = value.split(/\s+/).filter(className => className && !/^ad-click-guard-/.test(className));
+          if (classes.length > 0) {
+            node.setAttribute('class', classes.join(' '));
+          } else {
+            node.removeAttribute('class');
+          }
+        } else if (REPORT_URL_ATTRIBUTES.includes(name)) {
+          node.setAttribute(name, value.replace(/[?#][^\s,]*/g, ''));
+        } else if (value.length > REPORT_TEXT_LIMIT) {
+          node.setAttribute(name, value.substring(0, REPORT_TEXT_LIMIT) + '…');
+        }
+      });
+    });
+    
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    for (let text = walker.nextNode(); text; text = walker.nextNode()) {
+      if (text.nodeValue.length > REPORT_TEXT_LIMIT) {
+        text.nodeValue = text.nodeValue.substring(0, REPORT_TEXT_LIMIT) + '…';
+      }
+    }
+    
+    const html = clone.outerHTML;
+    return html.length > REPORT_SNIPPET_LIMIT ? html.substring(0, REPORT_SNIPPET_LIMIT) + '…' : html;
+  }
+  
+  // Queue a report about a detection mistake in the background: 'false-positive' for an element covered
+  // that is not an ad, 'false-negative' for an ad that was missed. The background adds the configuration.
+  function sendProblemReport(kind, element, selector) {
+    const covered = window.adDetection.getOverlayForElement(element);
+    const target = covered ? covered.anchor : element;
+    const rect = target.getBoundingClientRect();
+    const report = {
+      kind,
+      url: window.location.href,
+      selector,
+      snippet: getSanitizedSnippet(target),
+      element: { tag: target.tagName.toLowerCase(), width: rect.width, height: rect.height },
+      reason: covered ? covered.reason : null
+    };
+    
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'addProblemReport', report }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.error) || 'Could not save the report'));
+          return;
+        }
+        resolve({ status: 'success', id: response.id });
+      });
+    });
+  }
 
   let adDetectionInitialized = false;
   
@@ -252,6 +801,11 @@
       
       // Detect and overlay ad elements
       detectAndOverlayAds();
+      
+      // Overlay frames, images and links pointing at ad servers once the background has classified them
+      classifyPageResources(document).then(elements => {
+        elements.forEach(checkElementForAds);
+      });
     }
     
     // Initialize countdown watcher if it exists
@@ -260,12 +814,8 @@
       if (!countdownWatcher) {
         countdownWatcher = new CountdownWatcher({
           enabled: true,
-          minimumDuration: 1,  // Accept any reasonable countdown (1-120 seconds)
-          maximumDuration: 120, // Accept any reasonable countdown
-          scrollBehavior: 'smooth',
-          focusEffectDuration: 10000,
-          validationDelay: 1000,
-          debounceTime: 300
+          ...getCountdownWatcherOptions(), // Durations, timings and color from the settings
+          onStateChange: scheduleBadgeUpdate
         });
         console.log('CountdownWatcher started');
       } else {
@@ -290,8 +840,16 @@
     // Remove all highlights
     removeHighlights();
     
-    // Remove all ad overlays
+    // Remove all ad overlays, both the tracked ones and those placed through the anchor-based system
+    window.overlayConfirm.dismissConfirmPrompt();
     removeAdOverlays();
+    window.adDetection.removeAllOverlays();
+    
+    // Stop a detection run that is still working through the selectors
+    window.adDetection.cancelAdDetection();
+    
+    // Forget elements matched by procedural selectors so they are re-evaluated when re-enabled
+    window.proceduralFilters.resetProceduralMatches();
     
     // Disconnect observer
     if (observer) {
@@ -329,7 +887,7 @@
       if (detectionInProgress) {
         console.debug('Detection skipped: already in progress');
       }
-      return;
+      return Promise.resolve();
     }
     
     console.debug('Starting detection cycle');
@@ -340,28 +898,29 @@
     // Track if any new ads were found in this cycle
     const initialAdCount = adElements.size;
     
-    // Use the detectAndOverlayAds function from adDetection.js
-    window.adDetection.detectAndOverlayAds(cosmeticSelectors, adElements, CONFIG, isAdElement, hasParentAdOverlay, addAdOverlay, calculateAdConfidence, isElementLikelyAd);
-    
-    // Check if any new ads were found
-    const newAdCount = adElements.size;
-    const newAdsFound = newAdCount > initialAdCount;
-    
-    // Update idle state based on whether new ads were found
-    if (!newAdsFound && initialAdCount > 0) {
-      idleState = true;
-      console.debug('Detection entered idle state - no new ads found');
-    } else if (newAdsFound) {
-      idleState = false;
-      lastDetectionHadAds = true;
-      console.debug('New ads found, staying active');
-    }
-    
-    // Reset the flag after a short delay
-    setTimeout(() => {
-      detectionInProgress = false;
-      console.debug('Detection cycle completed');
-    }, 100);
+    // Use the detectAndOverlayAds function from adDetection.js, which spreads the work over idle callbacks
+    return window.adDetection.detectAndOverlayAds(cosmeticSelectors, adElements, CONFIG, isAdElement, hasParentAdOverlay, addAdOverlay, calculateAdConfidence, isElementLikelyAd)
+      .then(() => {
+        // Check if any new ads were found
+        const newAdCount = adElements.size;
+        const newAdsFound = newAdCount > initialAdCount;
+        
+        // Update idle state based on whether new ads were found
+        if (!newAdsFound && initialAdCount > 0) {
+          idleState = true;
+          console.debug('Detection entered idle state - no new ads found');
+        } else if (newAdsFound) {
+          idleState = false;
+          lastDetectionHadAds = true;
+          console.debug('New ads found, staying active');
+        }
+        
+        // Reset the flag after a short delay
+        setTimeout(() => {
+          detectionInProgress = false;
+          console.debug('Detection cycle completed');
+        }, 100);
+      });
   }
   
   function detectGoogleAds() {
@@ -430,7 +989,8 @@
     return false;
   }
     
-  function addAdOverlay(element) {
+  // detector names the detection pass or branch that found the element, it goes into the overlay's reason record
+  function addAdOverlay(element, detector) {
     if (!element || element.nodeType !== Node.ELEMENT_NODE) return;
       
     // Use the new anchor-based overlay system from adDetection.js
@@ -446,9 +1006,13 @@
       console.debug('Attempting to create overlay for element:', element, 'Tag:', element.tagName, 'Class:', element.className, 'ID:', element.id);
       
       // Use the new createAdOverlay function from adDetection.js which handles anchor selection
-      const overlay = window.adDetection.createAdOverlay(element);
+      const reason = window.adDetection.buildDetectionReason(element, detector, cosmeticSelectors);
+      const overlay = window.adDetection.createAdOverlay(element, reason);
         
       if (overlay) {
+        if (reason.source === 'cosmetic-filter' && !reason.filter) {
+          queueFilterSourceLookup(reason);
+        }
         console.log('✅ Successfully added ad overlay using anchor-based system for element:', element, 'Tag:', element.tagName, 'Class:', element.className, 'ID:', element.id);
       } else {
         console.debug('❌ Failed to create overlay for element:', element);
@@ -463,6 +1027,36 @@
     }
   }
   
+  // Cosmetic reasons waiting for their filter line and list, looked up in the background in batches
+  let pendingFilterSourceReasons = [];
+  let filterSourceLookupTimer = null;
+  
+  function queueFilterSourceLookup(reason) {
+    pendingFilterSourceReasons.push(reason);
+    
+    if (!filterSourceLookupTimer) {
+      filterSourceLookupTimer = setTimeout(() => {
+        const reasons = pendingFilterSourceReasons;
+        pendingFilterSourceReasons = [];
+        filterSourceLookupTimer = null;
+        
+        chrome.runtime.sendMessage({
+          action: 'getFilterSources',
+          hostname: window.location.hostname,
+          selectors: reasons.map(item => item.selector)
+        }, (response) => {
+          if (chrome.runtime.lastError || !response || !Array.isArray(response.sources)) {
+            console.debug('Could not look up filter sources:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+            return;
+          }
+          reasons.forEach((item, index) => {
+            window.adDetection.setDetectionReasonFilter(item, response.sources[index]);
+          });
+        });
+      }, 300);
+    }
+  }
+  
   function updateOverlayPosition(overlay, element) {
     if (!overlay || !element) return;
     
@@ -499,19 +1093,21 @@
         overlay.style.left = (rect.left + scrollLeft) + 'px';
       }
       
-      // Set dimensions
+      // Set dimensions, collapsed elements have no height to copy
+      const collapsed = window.adDetection.isCollapseMode();
       overlay.style.width = rect.width + 'px';
-      overlay.style.height = rect.height + 'px';
+      if (!collapsed) {
+        overlay.style.height = rect.height + 'px';
+      }
       overlay.style.zIndex = '2147483647'; // Maximum z-index
       overlay.style.pointerEvents = 'auto';
       overlay.style.cursor = 'not-allowed';
-      overlay.style.backgroundColor = CONFIG.adOverlayColor;
       
       // Ensure the overlay has the correct border box sizing
       overlay.style.boxSizing = 'border-box';
       
-      // Add border for visibility
-      overlay.style.border = '2px solid red';
+      // Fill and border in the configured overlay color
+      window.adDetection.applyOverlayColors(overlay);
       
       // Ensure overlay is visible even if parent has overflow hidden
       overlay.style.margin = '0';
@@ -525,7 +1121,7 @@
       overlay.style.opacity = '1';
       
       // Handle elements that might have zero dimensions (like hidden ads)
-      if (rect.width === 0 || rect.height === 0) {
+      if (!collapsed && (rect.width === 0 || rect.height === 0)) {
         // If the element has no visible dimensions, try to get dimensions from parent or use fallback
         if (element.offsetWidth > 0 && element.offsetHeight > 0) {
           overlay.style.width = element.offsetWidth + 'px';
@@ -669,8 +1265,11 @@
         document.documentElement.appendChild(overlay);
       }
       
-      // Update the mapping to use the actual overlay element
+      // Update the mapping to use the actual overlay element, and mark the element for the overlay styles
+      // in content.css that change the ad itself
       adElements.set(element, overlay);
+      element.setAttribute('data-ad-click-guard-covered', 'true');
+      scheduleBadgeUpdate();
       
       // Add resize and scroll listeners to keep overlay positioned correctly
       setupOverlayListeners(element, overlay);
@@ -723,6 +1322,7 @@
           
           // Remove from the map
           adElements.delete(element);
+          scheduleBadgeUpdate();
           
           // Disconnect this observer
           removalObserver.disconnect();
@@ -796,10 +1396,61 @@
     } catch (e) {
       // If there was an error, clean up by removing the element from the map
       adElements.delete(element);
+      element.removeAttribute('data-ad-click-guard-covered');
       console.error('❌ Error adding ad overlay:', e, 'Element:', element);
     }
   }
   
+  // Count the elements covered by an overlay, whichever overlay system placed it
+  function getOverlayCount() {
+    const covered = new Set(window.adDetection.coveredElements);
+    adElements.forEach((overlay, element) => {
+      // true marks an overlay still being created
+      if (overlay !== true) {
+        covered.add(element);
+      }
+    });
+    return covered.size;
+  }
+  
+  // Report the overlay count to the toolbar badge once the current burst of changes has settled
+  function scheduleBadgeUpdate() {
+    if (badgeUpdateTimeout) return;
+    
+    badgeUpdateTimeout = setTimeout(() => {
+      badgeUpdateTimeout = null;
+      reportBadgeState(false);
+    }, BADGE_UPDATE_DELAY_MS);
+  }
+  
+  // Send the overlay count, whether a confirmed countdown is running and a pause to the background,
+  // which shows them on this tab's toolbar badge. Unchanged states are not sent again unless forced.
+  function reportBadgeState(force) {
+    const state = {
+      overlayCount: isEnabled ? getOverlayCount() : 0,
+      countdownActive: isEnabled && !!countdownWatcher && countdownWatcher.getState().countdownActive,
+      paused: pausedState
+    };
+    
+    if (!force && lastBadgeState &&
+        lastBadgeState.overlayCount === state.overlayCount && lastBadgeState.countdownActive === state.countdownActive &&
+        lastBadgeState.paused === state.paused) {
+      return;
+    }
+    lastBadgeState = state;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'updateBadge', ...state }, () => {
+        if (chrome.runtime.lastError) {
+          console.debug('Could not update the badge:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (e) {
+      // The extension was reloaded or updated and this content script is orphaned
+      console.debug('Could not update the badge:', e.message);
+    }
+  }
+  
   function removeAdOverlays() {
     // Remove all overlays
     adElements.forEach((overlay, element) => {
@@ -828,10 +1479,12 @@
       if (overlay.parentNode) {
         overlay.parentNode.removeChild(overlay);
       }
+      element.removeAttribute('data-ad-click-guard-covered');
     });
     
     // Clear the map
     adElements.clear();
+    scheduleBadgeUpdate();
   }
 
   function removeOverlays() {
@@ -969,13 +1622,13 @@
                       if (elementId.includes('gpt-ad') || elementId.includes('google_ads') || 
                           elementId.includes('div-gpt-ad') || elementId.includes('gpt_unit')) {
                         if (!isAdElement(target) && !hasParentAdOverlay(target)) {
-                          addAdOverlay(target);
+                          addAdOverlay(target, 'attribute-change:gpt-id');
                         }
                       }
                                       
                       // Check for elements with data-google-query-id (high confidence Google ads)
                       if (target.hasAttribute('data-google-query-id') && !isAdElement(target) && !hasParentAdOverlay(target)) {
-                        addAdOverlay(target);
+                        addAdOverlay(target, 'attribute-change:google-query-id');
                       }
                                       
                       // Check for Google ad attributes
@@ -984,12 +1637,12 @@
                           target.hasAttribute('data-google-av-element') ||
                           target.hasAttribute('data-ad-slot') ||
                           target.hasAttribute('data-ad-format')) && !isAdElement(target) && !hasParentAdOverlay(target)) {
-                        addAdOverlay(target);
+                        addAdOverlay(target, 'attribute-change:google-ad-attributes');
                       }
                                       
                       // Check for GoogleActiveViewElement class
                       if (target.classList && target.classList.contains('GoogleActiveViewElement') && !isAdElement(target) && !hasParentAdOverlay(target)) {
-                        addAdOverlay(target);
+                        addAdOverlay(target, 'attribute-change:active-view-element');
                       }
                     }
                   }
@@ -1027,25 +1680,17 @@
       // Check the node itself and its descendants for ad elements
       checkElementForAds(node);
       
-      // Use querySelectorAll to find elements matching EasyList selectors
+      // Find elements matching EasyList selectors within the node, in batches during idle time,
       // but validate with confidence scoring
-      for (const selector of cosmeticSelectors) {
-        try {
-          const matchingElements = node.querySelectorAll ? node.querySelectorAll(selector) : [];
-          matchingElements.forEach(element => {
-            if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-              // For EasyList matches, apply less strict validation
-              const confidenceScore = calculateAdConfidence(element);
-              if (isElementLikelyAd(element) || confidenceScore >= 2) {
-                addAdOverlay(element);
-              }
-            }
-          });
-        } catch (e) {
-          // Skip invalid selectors
-          console.debug(`Skipping cosmetic selector during mutation: ${selector}`, e);
+      window.adDetection.queueSubtreeSelectorCheck(node, cosmeticSelectors, element => {
+        if (isEnabled && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
+          // For EasyList matches, apply less strict validation
+          const confidenceScore = calculateAdConfidence(element);
+          if (isElementLikelyAd(element) || confidenceScore >= settings.detection.addedContentScoreThreshold) {
+            addAdOverlay(element, 'new-node:cosmetic-filters');
+          }
         }
-      }
+      });
       
       // Check for Google Publisher Tags elements
       const gptElements = node.querySelectorAll ? node.querySelectorAll('[id*="gpt-ad" i], [id*="google_ads" i], [id*="div-gpt-ad" i], [id*="gpt_unit" i]') : [];
@@ -1053,7 +1698,7 @@
         if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
           // These are Google Publisher Tags which are ads - verify with confidence scoring
           if (isElementLikelyAd(element)) {
-            addAdOverlay(element);
+            addAdOverlay(element, 'new-node:gpt-element');
           }
         }
       });
@@ -1064,51 +1709,29 @@
         if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
           // Apply more stringent check for all elements
           if (isElementLikelyAd(element)) {
-            addAdOverlay(element);
+            addAdOverlay(element, 'new-node:likely-ad');
           }
           // Additional check for Google AdSense specific elements
           else if (isGoogleAdElement(element)) {
-            addAdOverlay(element);
+            addAdOverlay(element, 'new-node:google-ad-element');
           }
         }
       });
       
-      // Specifically check for iframe-based ads that may have been added
-      const iframeElements = node.querySelectorAll ? node.querySelectorAll('iframe') : [];
-      iframeElements.forEach(element => {
+      // Check frames, images and links whose URL is already known to match a network blocking rule
+      const resourceElements = node.querySelectorAll ? node.querySelectorAll('iframe[src], img[src], a[href]') : [];
+      resourceElements.forEach(element => {
         if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-          // Check if iframe has ad-related src
-          if (element.src && (
-            element.src.includes('googlesyndication') || 
-            element.src.includes('doubleclick') ||
-            element.src.includes('googleadservices') ||
-            element.src.includes('googletagservices') ||
-            element.src.includes('pagead') ||
-            element.src.includes('tpc.goog')
-          )) {
+          if (window.adDetection.getNetworkFilterMatch(element)) {
             // These are definitely ads, add them directly
-            addAdOverlay(element);
+            addAdOverlay(element, 'new-node:network-filter');
           }
         }
       });
       
-      // Check for image elements that may be ads
-      const imgElements = node.querySelectorAll ? node.querySelectorAll('img') : [];
-      imgElements.forEach(element => {
-        if (element && element.nodeType === Node.ELEMENT_NODE && !isAdElement(element) && !hasParentAdOverlay(element)) {
-          // Check if img has ad-related src
-          if (element.src && (
-            element.src.includes('googlesyndication') || 
-            element.src.includes('doubleclick') ||
-            element.src.includes('googleadservices') ||
-            element.src.includes('googletagservices') ||
-            element.src.includes('pagead') ||
-            element.src.includes('tpc.goog')
-          )) {
-            // These are definitely ads, add them directly
-            addAdOverlay(element);
-          }
-        }
+      // URLs not seen before are classified by the background, matching elements are checked when it answers
+      classifyPageResources(node).then(elements => {
+        elements.forEach(checkElementForAds);
       });
       
       // Enhanced check: look for any new elements that might be ads
@@ -1122,7 +1745,7 @@
             element.classList.contains('advertisement') ||
             element.classList.contains('GoogleActiveViewElement')
           )) {
-            addAdOverlay(element);
+            addAdOverlay(element, 'new-node:ad-class');
           }
           
           // Check for elements with ad-related data attributes
@@ -1132,7 +1755,7 @@
               element.hasAttribute('data-ad-slot') ||
               element.hasAttribute('data-ad-format')) {
             if (isElementLikelyAd(element)) {
-              addAdOverlay(element);
+              addAdOverlay(element, 'new-node:google-ad-attributes');
             }
           }
           
@@ -1155,15 +1778,10 @@
           if (hasStandardAdSize) {
             // If it has standard ad size, check for ad-related content
             const iframeChildren = element.querySelectorAll ? element.querySelectorAll('iframe, img') : [];
-            const hasAdRelatedContent = Array.from(iframeChildren).some(child => {
-              const src = child.src || '';
-              return src.includes('googlesyndication') || src.includes('doubleclick') || 
-                     src.includes('googleadservices') || src.includes('googletagservices') ||
-                     src.includes('pagead') || src.includes('tpc.goog');
-            });
+            const hasAdRelatedContent = Array.from(iframeChildren).some(child => window.adDetection.getNetworkFilterMatch(child));
             
             if (hasAdRelatedContent && isElementLikelyAd(element)) {
-              addAdOverlay(element);
+              addAdOverlay(element, 'new-node:ad-size-with-ad-content');
             }
           }
         }
@@ -1185,23 +1803,28 @@
       const tagName = element.tagName.toLowerCase();
       
       // Direct checks for known ad elements
-      if ((className.includes('googleactiveviewelement') || className.includes('adsbygoogle') || 
-          className.includes('googlesyndication') || className.includes('doubleclick')) &&
+      if ((className.includes('googleactiveviewelement') || className.includes('adsbygoogle')) &&
           !isAdElement(element)) {
-        addAdOverlay(element);
+        addAdOverlay(element, 'element-check:ad-class');
         return; // Exit early if we found a high-confidence ad
       }
       
-      // Check for iframe with ad-related src
-      if (element.tagName === 'IFRAME' && element.src && (
-          element.src.includes('googlesyndication') ||
-          element.src.includes('doubleclick') ||
-          element.src.includes('googleadservices') ||
-          element.src.includes('googletagservices') ||
-          element.src.includes('pagead') ||
-          element.src.includes('tpc.goog')) &&
+      // A script whose URL matches a network blocking rule cannot be seen, it only adds to the score of
+      // the element it is in
+      if (tagName === 'script') {
+        const container = element.parentElement;
+        if (container && container !== document.body && container !== document.head &&
+            !isAdElement(container) && !hasParentAdOverlay(container) &&
+            calculateAdConfidence(container) >= settings.detection.adScoreThreshold) {
+          addAdOverlay(container, 'element-check:network-script');
+        }
+        return;
+      }
+      
+      // Check for iframe, image or link whose URL matches a network blocking rule
+      if (window.adDetection.isNetworkFilteredAd(element) &&
           !isAdElement(element)) {
-        addAdOverlay(element);
+        addAdOverlay(element, 'element-check:network-filter');
         return; // Exit early
       }
       
@@ -1213,13 +1836,13 @@
           element.hasAttribute('data-ad-format') ||
           element.hasAttribute('data-google-query-id')) &&
           !isAdElement(element)) {
-        addAdOverlay(element);
+        addAdOverlay(element, 'element-check:google-ad-attributes');
         return; // Exit early
       }
       
       // Use confidence-based validation for other elements
       if (!isAdElement(element) && !hasParentAdOverlay(element) && isElementLikelyAd(element)) {
-        addAdOverlay(element);
+        addAdOverlay(element, 'element-check:likely-ad');
       } else if (!isAdElement(element)) {
         // Log for debugging - element didn't pass confidence check
         console.debug('Element failed confidence check in checkElementForAds:', element, 'Score:', calculateAdConfidence(element));
@@ -13,7 +13,9 @@ class CountdownWatcher {
       focusEffectDuration: 10000, // milliseconds
       validationDelay: 1000, // milliseconds to wait between numeric checks
       debounceTime: 300,     // milliseconds to debounce rapid changes
+      highlightColor: '#4ade80', // color of the focus effect around a confirmed countdown
       enabled: true,         // Whether the countdown watcher is enabled
+      onStateChange: null,   // Called with getState() when a confirmed countdown starts or ends
       ...options
     };
 
@@ -27,6 +29,15 @@ class CountdownWatcher {
     // Track which element currently has the focus effect to prevent duplicates
     this.currentFocusElement = null;
     
+    // Confirmed countdown that is still running, kept apart from detectedCountdownElement
+    // which is cleared as soon as detection stops
+    this.activeCountdownElement = null;
+    
+    // Last confirmed countdown, kept once it is over so it can be reported as done,
+    // and when it is expected to reach zero
+    this.lastCountdownElement = null;
+    this.countdownEndsAt = null;
+    
     // Additional state for trigger-based detection
     this.isDetecting = false;
     this.detectionTimeout = null;
@@ -194,6 +205,37 @@ class CountdownWatcher {
     );
   }
   
+  /**
+   * Find the button the visitor is waiting for ("Get Link", "Continue", "Verify"): a visible, enabled
+   * button whose label names such an action, preferring the earlier keywords and, among equals, a button
+   * that follows the countdown. isExcluded can rule out candidates, e.g. those under an ad overlay.
+   */
+  findActionButton(isExcluded = () => false) {
+    const keywords = ['get link', 'go to link', 'continue', 'verify', 'proceed', 'download', 'next', 'skip', 'open'];
+    const countdownElement = this.activeCountdownElement || this.detectedCountdownElement;
+    let best = null;
+    
+    document.querySelectorAll('button, a[href], input[type="submit"], input[type="button"], [role="button"]').forEach(element => {
+      if (this.extensionElements.has(element) || element.disabled || isExcluded(element) || !this.isElementVisible(element)) {
+        return;
+      }
+      
+      const label = (element.value || element.textContent || element.getAttribute('aria-label') || '').trim().toLowerCase();
+      if (!label || label.length > 40) return;
+      
+      const rank = keywords.findIndex(keyword => new RegExp('\\b' + keyword + '\\b').test(label));
+      if (rank === -1) return;
+      
+      const followsCountdown = !!countdownElement &&
+        !!(countdownElement.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+      if (!best || rank < best.rank || (rank === best.rank && followsCountdown && !best.followsCountdown)) {
+        best = { element, rank, followsCountdown };
+      }
+    });
+    
+    return best ? best.element : null;
+  }
+  
   /**
    * Add click listener to a button
    */
@@ -725,12 +767,18 @@ class CountdownWatcher {
         element.classList.remove('countdown-focus-effect');
       }
       this.removeOverlayEffect(element);
+      this.setActiveCountdown(null);
       
       return;
     }
     
     // Set up a timeout to stop monitoring when the countdown duration completes
     setTimeout(() => {
+      // The countdown is over whether or not its element is still there
+      if (this.activeCountdownElement === element) {
+        this.setActiveCountdown(null);
+      }
+      
       // Check if element still exists before removing effects
       if (document.contains(element)) {
         console.log('CountdownWatcher: Countdown duration completed, removing effect', element);
@@ -845,6 +893,10 @@ class CountdownWatcher {
     
     console.log('CountdownWatcher: Countdown confirmed with duration:', countdownDuration, 'seconds');
     
+    this.lastCountdownElement = element;
+    this.countdownEndsAt = Date.now() + countdownDuration * 1000;
+    this.setActiveCountdown(element);
+    
     // Scroll to the countdown if needed
     this.scrollToCountdown(element);
     
@@ -921,7 +973,7 @@ class CountdownWatcher {
 
     // Determine the duration for the effect
     // According to requirements: effect duration must be exactly equal to remaining countdown seconds
-    const effectDuration = countdownDuration !== null ? countdownDuration : 10; // fallback to 10 seconds
+    const effectDuration = countdownDuration !== null ? countdownDuration : this.options.focusEffectDuration / 1000;
     
     // Set up a timeout to remove the effect when the countdown completes
     if (this.focusEffectTimeout) {
@@ -980,14 +1032,12 @@ class CountdownWatcher {
     updatePosition();
     
     overlay.style.position = 'absolute';
-    overlay.style.border = '3px solid #4ade80';
     overlay.style.borderRadius = '12px';
     overlay.style.pointerEvents = 'none';
     overlay.style.zIndex = '9999';
     overlay.style.boxSizing = 'border-box';
     overlay.style.animation = 'countdown-overlay-pulse 1s infinite alternate';
-    overlay.style.boxShadow = '0 0 20px rgba(74, 222, 128, 0.7)';
-    overlay.style.backgroundColor = 'rgba(74, 222, 128, 0.1)';
+    this.paintOverlayEffect(overlay);
     
     // Mark this element as added by the extension to avoid observing it
     this.markAsExtensionElement(overlay);
@@ -1010,6 +1060,15 @@ class CountdownWatcher {
     overlay.positionInterval = positionInterval;
   }
   
+  /**
+   * Color the overlay effect with the highlight color
+   */
+  paintOverlayEffect(overlay) {
+    overlay.style.border = '3px solid ' + this.options.highlightColor;
+    overlay.style.boxShadow = '0 0 20px ' + this.getHighlightColor(0.7);
+    overlay.style.backgroundColor = this.getHighlightColor(0.1);
+  }
+  
   /**
    * Remove the overlay effect
    */
@@ -1034,7 +1093,25 @@ class CountdownWatcher {
 
     const style = document.createElement('style');
     style.id = 'countdown-focus-styles';
-    style.textContent = `
+    style.textContent = this.getFocusEffectStyles();
+    
+    document.head.appendChild(style);
+  }
+  
+  /**
+   * Get the highlight color at the given opacity as an rgba() value
+   */
+  getHighlightColor(alpha) {
+    const hex = this.options.highlightColor;
+    const channels = [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+    return 'rgba(' + channels.join(', ') + ', ' + alpha + ')';
+  }
+  
+  /**
+   * Build the focus effect CSS in the current highlight color
+   */
+  getFocusEffectStyles() {
+    return `
       .countdown-focus-effect {
         position: relative;
         animation: countdown-pulse 0.8s infinite alternate, countdown-glow 1.2s infinite alternate;
@@ -1052,7 +1129,7 @@ class CountdownWatcher {
         width: calc(100% + 20px);
         height: calc(100% + 20px);
         transform: translate(-50%, -50%);
-        border: 3px solid #4ade80;
+        border: 3px solid ${this.options.highlightColor};
         border-radius: 12px;
         box-sizing: border-box;
         pointer-events: none;
@@ -1063,22 +1140,22 @@ class CountdownWatcher {
       @keyframes countdown-pulse {
         0% { 
           transform: scale(1);
-          filter: drop-shadow(0 0 5px rgba(74, 222, 128, 0.5));
+          filter: drop-shadow(0 0 5px ${this.getHighlightColor(0.5)});
         }
         100% { 
           transform: scale(1.03);
-          filter: drop-shadow(0 0 15px rgba(74, 222, 128, 0.8));
+          filter: drop-shadow(0 0 15px ${this.getHighlightColor(0.8)});
         }
       }
       
       @keyframes countdown-glow {
         0% { 
-          box-shadow: 0 0 10px rgba(74, 222, 128, 0.5), 0 0 20px rgba(74, 222, 128, 0.3); 
-          outline: 2px solid rgba(74, 222, 128, 0.5);
+          box-shadow: 0 0 10px ${this.getHighlightColor(0.5)}, 0 0 20px ${this.getHighlightColor(0.3)}; 
+          outline: 2px solid ${this.getHighlightColor(0.5)};
         }
         100% { 
-          box-shadow: 0 0 25px rgba(74, 222, 128, 0.8), 0 0 35px rgba(74, 222, 128, 0.6);
-          outline: 2px solid rgba(74, 222, 128, 0.8);
+          box-shadow: 0 0 25px ${this.getHighlightColor(0.8)}, 0 0 35px ${this.getHighlightColor(0.6)};
+          outline: 2px solid ${this.getHighlightColor(0.8)};
         }
       }
       
@@ -1087,13 +1164,13 @@ class CountdownWatcher {
           width: calc(100% + 20px);
           height: calc(100% + 20px);
           opacity: 0.6;
-          border-color: rgba(74, 222, 128, 0.6);
+          border-color: ${this.getHighlightColor(0.6)};
         }
         100% {
           width: calc(100% + 30px);
           height: calc(100% + 30px);
           opacity: 0.3;
-          border-color: rgba(74, 222, 128, 0.3);
+          border-color: ${this.getHighlightColor(0.3)};
         }
       }
       
@@ -1108,8 +1185,6 @@ class CountdownWatcher {
         }
       }
     `;
-    
-    document.head.appendChild(style);
   }
   
   /**
@@ -1287,7 +1362,10 @@ class CountdownWatcher {
       // Reset state
       this.hasScrolledToCountdown = false;
       this.detectedCountdownElement = null;
+      this.lastCountdownElement = null;
+      this.countdownEndsAt = null;
       this.isDetecting = false;
+      this.setActiveCountdown(null);
     } else {
       // If enabling, set up button listeners again
       if (this.isExtensionEnabled()) {
@@ -1296,6 +1374,27 @@ class CountdownWatcher {
     }
   }
   
+  /**
+   * Apply changed options (durations, timings, highlight color) without recreating the watcher.
+   * The next checks use the new values and a focus effect on screen is repainted in the new color.
+   */
+  updateOptions(options) {
+    const colorChanged = options.highlightColor !== undefined && options.highlightColor !== this.options.highlightColor;
+    this.options = { ...this.options, ...options };
+    
+    if (colorChanged) {
+      const style = document.getElementById('countdown-focus-styles');
+      if (style) {
+        style.textContent = this.getFocusEffectStyles();
+      }
+      
+      const overlay = this.currentFocusElement && this.currentFocusElement.countdownOverlay;
+      if (overlay) {
+        this.paintOverlayEffect(overlay);
+      }
+    }
+  }
+  
   /**
    * Reset the watcher state (for re-initialization)
    */
@@ -1311,18 +1410,57 @@ class CountdownWatcher {
   resetState() {
     this.hasScrolledToCountdown = false;
     this.detectedCountdownElement = null;
+    this.lastCountdownElement = null;
+    this.countdownEndsAt = null;
     this.isDetecting = false;
     this.detectionTimeout = null;
+    this.setActiveCountdown(null);
+  }
+  
+  /**
+   * Record the confirmed countdown that is running (null once it is over) and tell the onStateChange
+   * callback when a countdown starts or ends
+   */
+  setActiveCountdown(element) {
+    const wasActive = !!this.activeCountdownElement;
+    this.activeCountdownElement = element;
+    if (wasActive === !!element) return;
+    
+    if (typeof this.options.onStateChange === 'function') {
+      this.options.onStateChange(this.getState());
+    }
+  }
+
+  /**
+   * Seconds left on the running countdown: the number it shows, or the time left of the duration
+   * it was confirmed with when its text no longer holds one. 0 once it is over, null without a countdown.
+   */
+  getRemainingSeconds() {
+    if (!this.activeCountdownElement) {
+      return this.lastCountdownElement ? 0 : null;
+    }
+    
+    const shown = document.contains(this.activeCountdownElement)
+      ? this.extractNumericValue(this.getTextContent(this.activeCountdownElement))
+      : null;
+    if (shown !== null) {
+      return shown;
+    }
+    return Math.max(0, Math.ceil((this.countdownEndsAt - Date.now()) / 1000));
   }
 
   /**
-   * Get the current state of the watcher
+   * Get the current state of the watcher. countdownElement is the confirmed countdown, running or done.
    */
   getState() {
     return {
       hasScrolledToCountdown: this.hasScrolledToCountdown,
       detectedCountdownElement: this.detectedCountdownElement,
-      isObserving: !!this.countdownObserver
+      isObserving: !!this.countdownObserver,
+      countdownActive: !!this.activeCountdownElement,
+      countdownElement: this.activeCountdownElement || this.lastCountdownElement,
+      remainingSeconds: this.getRemainingSeconds(),
+      countdownDone: !!this.lastCountdownElement && !this.activeCountdownElement
     };
   }
 }
@@ -0,0 +1,367 @@
+// Element Picker Functions
+// Lets the user point at an element on the page, walk up or down the DOM from it and turn it into a
+// selector. content.js saves the result as a site hiding rule or a "never cover" exception.
+
+// Classes and attributes the extension puts on the page, never part of a generated selector
+const PICKER_OWN_CLASS_PATTERN = /^ad-click-guard-/;
+
+// Number of ancestors a generated selector may climb to become unique
+const PICKER_MAX_SELECTOR_DEPTH = 4;
+
+// What the picker offers to do with the selection unless startElementPicker is given other choices
+const PICKER_DEFAULT_OPTIONS = {
+  title: 'Ad Click Guard: pick an element',
+  actions: [
+    { type: 'hide', label: 'Cover as ad' },
+    { type: 'exception', label: 'Never cover' }
+  ]
+};
+
+// State of the running picker, null while it is not running
+let pickerState = null;
+
+// Function to check whether an id or class name looks hand-written rather than generated per page load or build
+// ("ad-slot" or "sidebar_banner", not "css-1x9fz2k", "ad_837261" or "a8f3e9b2c1")
+function isStableName(name) {
+  return /^[a-z_-][\w-]*$/i.test(name) &&
+    name.length <= 40 &&
+    !/\d{3,}/.test(name) &&
+    !/^(?:css|sc|jsx|emotion)-/i.test(name) &&
+    !/[0-9a-f]{8,}/i.test(name);
+}
+
+// Function to describe one element as a compound selector: tag, a stable id or up to two stable classes
+function getCompoundSelector(element) {
+  const tag = element.localName;
+
+  if (element.id && isStableName(element.id)) {
+    return tag + '#' + CSS.escape(element.id);
+  }
+
+  const classes = Array.from(element.classList)
+    .filter(name => isStableName(name) && !PICKER_OWN_CLASS_PATTERN.test(name))
+    .slice(0, 2);
+  return tag + classes.map(name => '.' + CSS.escape(name)).join('');
+}
+
+// Function to add :nth-of-type() to a compound selector so it only matches this element among its siblings
+function getPositionalSelector(element, compound) {
+  const parent = element.parentElement;
+  if (!parent) return compound;
+
+  const sameType = Array.from(parent.children).filter(child => child.localName === element.localName);
+  return sameType.length > 1 ? compound + ':nth-of-type(' + (sameType.indexOf(element) + 1) + ')' : compound;
+}
+
+// Function to count the page elements a selector matches, or -1 when it is not a valid selector
+function countSelectorMatches(selector) {
+  try {
+    return document.querySelectorAll(selector).length;
+  } catch (e) {
+    return -1;
+  }
+}
+
+// Function to build a selector that picks out the element and stays valid across page loads.
+// Prefers stable ids and classes, climbing through ancestors until the selector is unique;
+// positions among siblings are only used when names alone are not enough.
+function buildElementSelector(element) {
+  const describe = [getCompoundSelector, (node) => getPositionalSelector(node, getCompoundSelector(node))];
+  let selector = '';
+
+  for (const getPart of describe) {
+    const parts = [];
+    let current = element;
+
+    for (let depth = 0; current && depth <= PICKER_MAX_SELECTOR_DEPTH; depth++) {
+      parts.unshift(getPart(current));
+      selector = parts.join(' > ');
+      if (countSelectorMatches(selector) === 1) {
+        return selector;
+      }
+
+      // A stable id anchors the selector, climbing past it only makes it longer
+      if (current.id && isStableName(current.id)) break;
+
+      const parent = current.parentElement;
+      current = parent && parent !== document.body && parent !== document.documentElement ? parent : null;
+    }
+  }
+
+  return selector;
+}
+
+// Function to find the page element behind what the pointer is on: an overlay stands for the element it covers
+// and the picker's own interface is ignored
+function resolvePickTarget(target) {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+  if (pickerState && pickerState.panel.contains(target)) return null;
+  if (target._anchorElement) return target._anchorElement;
+  if (target === document.body || target === document.documentElement) return null;
+  return target;
+}
+
+// Function to describe an element in the panel, e.g. "div.ad-slot 300×250"
+function describePickedElement(element) {
+  const rect = element.getBoundingClientRect();
+  return getCompoundSelector(element) + ' ' + Math.round(rect.width) + '×' + Math.round(rect.height);
+}
+
+// Function to move the highlight box over an element
+function positionPickerHighlight(element) {
+  const highlight = pickerState.highlight;
+  if (!element) {
+    highlight.style.display = 'none';
+    return;
+  }
+
+  const rect = element.getBoundingClientRect();
+  highlight.style.display = 'block';
+  highlight.style.top = rect.top + 'px';
+  highlight.style.left = rect.left + 'px';
+  highlight.style.width = rect.width + 'px';
+  highlight.style.height = rect.height + 'px';
+}
+
+// Function to show the element under the pointer or the selected one, with its generated selector
+function setPickerTarget(element, selected) {
+  pickerState.target = element;
+  pickerState.selected = selected;
+  pickerState.highlight.classList.toggle('ad-click-guard-picker-selected', selected);
+  positionPickerHighlight(element);
+
+  const { elementInfo, selectorInput, actionButtons, parentButton, childButton } = pickerState.controls;
+  elementInfo.textContent = element ? describePickedElement(element) : 'Point at an element and click it';
+  selectorInput.value = element ? buildElementSelector(element) : '';
+  actionButtons.concat([parentButton, childButton]).forEach(button => {
+    button.disabled = !element;
+  });
+  updatePickerMatchCount();
+}
+
+// Function to show how many elements the selector in the panel matches
+function updatePickerMatchCount() {
+  const { selectorInput, matchCount, actionButtons } = pickerState.controls;
+  const selector = selectorInput.value.trim();
+  const count = selector ? countSelectorMatches(selector) : 0;
+
+  if (count === -1) {
+    matchCount.textContent = 'Not a valid selector';
+  } else if (selector) {
+    matchCount.textContent = 'Matches ' + count + (count === 1 ? ' element' : ' elements');
+  } else {
+    matchCount.textContent = '';
+  }
+  actionButtons.forEach(button => {
+    button.disabled = count < 1 || !pickerState.target;
+  });
+}
+
+// Function to walk from the current element to its parent ('up') or back down towards where the walk started ('down')
+function walkPickerTarget(direction) {
+  const element = pickerState.target;
+  if (!element) return;
+
+  let next = null;
+  if (direction === 'up') {
+    const parent = element.parentElement;
+    if (parent && parent !== document.body && parent !== document.documentElement) {
+      pickerState.path.push(element);
+      next = parent;
+    }
+  } else {
+    next = pickerState.path.pop() || element.firstElementChild;
+  }
+
+  if (next) {
+    setPickerTarget(next, true);
+  }
+}
+
+// Function to build the highlight box and the control panel, with a button for each of the given actions
+function createPickerInterface(options) {
+  const highlight = document.createElement('div');
+  highlight.className = 'ad-click-guard-picker-highlight';
+
+  const panel = document.createElement('div');
+  panel.className = 'ad-click-guard-picker-panel';
+
+  const title = document.createElement('div');
+  title.className = 'ad-click-guard-picker-title';
+  title.textContent = options.title;
+
+  const elementInfo = document.createElement('div');
+  elementInfo.className = 'ad-click-guard-picker-info';
+
+  const selectorInput = document.createElement('input');
+  selectorInput.type = 'text';
+  selectorInput.className = 'ad-click-guard-picker-selector';
+  selectorInput.spellcheck = false;
+
+  const matchCount = document.createElement('div');
+  matchCount.className = 'ad-click-guard-picker-info';
+
+  const createButton = (text, className) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ad-click-guard-picker-button ' + className;
+    button.textContent = text;
+    return button;
+  };
+  const parentButton = createButton('▲ Parent', 'ad-click-guard-picker-walk');
+  const childButton = createButton('▼ Child', 'ad-click-guard-picker-walk');
+  const actionButtons = options.actions.map(action => {
+    const button = createButton(action.label, 'ad-click-guard-picker-' + action.type);
+    button.dataset.pickerAction = action.type;
+    return button;
+  });
+  const cancelButton = createButton('Cancel', 'ad-click-guard-picker-cancel');
+
+  const walkRow = document.createElement('div');
+  walkRow.className = 'ad-click-guard-picker-row';
+  walkRow.append(parentButton, childButton);
+
+  const actionRow = document.createElement('div');
+  actionRow.className = 'ad-click-guard-picker-row';
+  actionRow.append(...actionButtons, cancelButton);
+
+  const status = document.createElement('div');
+  status.className = 'ad-click-guard-picker-status';
+  status.textContent = 'Click to select, ↑/↓ to walk the page, Esc to cancel';
+
+  panel.append(title, elementInfo, selectorInput, matchCount, walkRow, actionRow, status);
+
+  return {
+    highlight,
+    panel,
+    controls: { elementInfo, selectorInput, matchCount, parentButton, childButton, actionButtons, cancelButton, status }
+  };
+}
+
+// Function to save the selection through the callback given to startElementPicker and close the picker
+function savePickerSelection(type) {
+  const { selectorInput, status, actionButtons } = pickerState.controls;
+  const selector = selectorInput.value.trim();
+  const state = pickerState;
+
+  actionButtons.forEach(button => {
+    button.disabled = true;
+  });
+  status.textContent = 'Saving...';
+
+  Promise.resolve(state.onSave({ element: state.target, selector, type }))
+    .then(() => stopElementPicker())
+    .catch(error => {
+      if (pickerState !== state) return;
+      status.textContent = error.message;
+      updatePickerMatchCount();
+    });
+}
+
+// Function to start picking. onSave receives { element, selector, type } and returns a promise; the picker
+// closes once it resolves and shows the error when it rejects. options may replace the panel title and the
+// actions ({ type, label }) offered for the selection, by default 'hide' and 'exception'.
+function startElementPicker(onSave, options) {
+  if (pickerState) {
+    stopElementPicker();
+  }
+
+  const { highlight, panel, controls } = createPickerInterface({ ...PICKER_DEFAULT_OPTIONS, ...options });
+  pickerState = { highlight, panel, controls, onSave, target: null, selected: false, path: [], listeners: [] };
+
+  const listen = (target, type, listener) => {
+    target.addEventListener(type, listener, true);
+    pickerState.listeners.push([target, type, listener]);
+  };
+
+  // Page events are intercepted while picking so clicks do not follow links or trigger the page's handlers
+  listen(document, 'mousemove', (event) => {
+    if (pickerState.selected) return;
+    const element = resolvePickTarget(event.target);
+    if (element && element !== pickerState.target) {
+      pickerState.path = [];
+      setPickerTarget(element, false);
+    }
+  });
+
+  ['mousedown', 'mouseup', 'click'].forEach(type => {
+    listen(document, type, (event) => {
+      if (panel.contains(event.target)) return;
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (type === 'click') {
+        const element = resolvePickTarget(event.target);
+        if (element) {
+          pickerState.path = [];
+          setPickerTarget(element, true);
+        }
+      }
+    });
+  });
+
+  listen(document, 'keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      stopElementPicker();
+    } else if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && event.target !== controls.selectorInput) {
+      event.preventDefault();
+      walkPickerTarget(event.key === 'ArrowUp' ? 'up' : 'down');
+    }
+  });
+
+  // Keep the highlight on the element while the page scrolls or resizes
+  const reposition = () => positionPickerHighlight(pickerState.target);
+  listen(window, 'scroll', reposition);
+  listen(window, 'resize', reposition);
+
+  controls.parentButton.addEventListener('click', () => walkPickerTarget('up'));
+  controls.childButton.addEventListener('click', () => walkPickerTarget('down'));
+  controls.selectorInput.addEventListener('input', updatePickerMatchCount);
+  controls.actionButtons.forEach(button => {
+    button.addEventListener('click', () => savePickerSelection(button.dataset.pickerAction));
+  });
+  controls.cancelButton.addEventListener('click', () => stopElementPicker());
+
+  const container = document.body || document.documentElement;
+  container.appendChild(highlight);
+  container.appendChild(panel);
+  setPickerTarget(null, false);
+}
+
+// Function to close the picker and remove everything it added to the page
+function stopElementPicker() {
+  if (!pickerState) return;
+
+  pickerState.listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener, true));
+  pickerState.highlight.remove();
+  pickerState.panel.remove();
+  pickerState = null;
+}
+
+// Function to check whether the picker is running
+function isElementPickerActive() {
+  return pickerState !== null;
+}
+
+// Export functions for use in content.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isStableName,
+    getCompoundSelector,
+    buildElementSelector,
+    countSelectorMatches,
+    startElementPicker,
+    stopElementPicker,
+    isElementPickerActive
+  };
+}
+
+// Also make functions available globally for content scripts
+window.elementPicker = {
+  buildElementSelector,
+  countSelectorMatches,
+  startElementPicker,
+  stopElementPicker,
+  isElementPickerActive
+};
@@ -0,0 +1,645 @@
+// Filter List Management
+// Owns the filter list subscriptions, their cached copies in chrome.storage.local and scheduled refreshes.
+// Loaded into the background service worker with importScripts() after filterParser.js and networkFilters.js.
+
+const FILTER_SUBSCRIPTIONS_KEY = 'filterSubscriptions';
+const FILTER_LIST_CACHE_PREFIX = 'filterListCache:';
+const FILTER_LIST_ALARM = 'filterListRefresh';
+const FILTER_LIST_CHECK_INTERVAL_MINUTES = 60;
+
+// The user's own rules, written in the options page, are served like one more always-enabled list
+const CUSTOM_FILTER_RULES_KEY = 'customFilterRules';
+const CUSTOM_FILTER_LIST_ID = 'user-rules';
+const CUSTOM_FILTER_LIST_TITLE = 'My filters';
+
+// Rules set by enterprise policy are served the same way, but only the policy can change them
+const MANAGED_FILTER_LIST_ID = 'managed-rules';
+const MANAGED_FILTER_LIST_TITLE = 'Organization filters';
+
+// Number of hostnames whose merged selectors are kept in memory
+const SELECTOR_CACHE_LIMIT = 50;
+
+// Lists available out of the box. Built-in lists can be disabled but not removed.
+// The baseline list has no URL: it is shipped inside the extension package and always works offline.
+const DEFAULT_FILTER_SUBSCRIPTIONS = [
+  {
+    id: 'baseline',
+    title: 'Ad Click Guard Baseline',
+    url: null,
+    bundledPath: 'filters/baseline.txt',
+    enabled: true,
+    builtIn: true
+  },
+  {
+    id: 'easylist',
+    title: 'EasyList + EasyPrivacy',
+    url: 'https://easylist-downloads.adblockplus.org/easyprivacy+easylist.txt',
+    enabled: true,
+    builtIn: true
+  },
+  {
+    id: 'indianlist',
+    title: 'IndianList (Indian regional sites)',
+    url: 'https://easylist-downloads.adblockplus.org/indianlist.txt',
+    enabled: false,
+    builtIn: true
+  },
+  {
+    id: 'abpindo',
+    title: 'ABPindo (Indonesian regional sites)',
+    url: 'https://easylist-downloads.adblockplus.org/abpindo.txt',
+    enabled: false,
+    builtIn: true
+  },
+  {
+    id: 'fanboy-annoyance',
+    title: "Fanboy's Annoyance List",
+    url: 'https://easylist-downloads.adblockplus.org/fanboy-annoyance.txt',
+    enabled: false,
+    builtIn: true
+  }
+];
+
+// Subscriptions in display order, loaded from storage
+let filterSubscriptions = null;
+let filterListsLoadPromise = null;
+
+// Active list per subscription id: { text, metadata, source, lastUpdated, cosmetic }.
+// cosmetic holds the list's compiled cosmetic rules (see compileCosmeticFilters), built once per list copy.
+const filterListStates = new Map();
+
+// List state of the user's own rules, null while there are none
+let customFilterState = null;
+
+// List state of the rules set by policy, null while there are none
+let managedFilterState = null;
+
+// Last download error per subscription id, shown in the options page
+const filterListErrors = new Map();
+
+// In-flight downloads per subscription id
+const filterListUpdatePromises = new Map();
+
+// Merged selectors keyed by hostname, oldest entries evicted first
+const selectorCache = new Map();
+
+// Compiled network rules per list state, dropped together with the state object
+const networkRuleCache = new WeakMap();
+
+// URL matcher built from the network rules of all enabled lists, rebuilt on demand
+let networkMatcher = null;
+
+// Function to drop everything derived from the active lists after they change
+function clearCompiledFilters() {
+  selectorCache.clear();
+  networkMatcher = null;
+}
+
+// Function to build the storage key holding a list's cached copy
+function getFilterListCacheKey(id) {
+  return FILTER_LIST_CACHE_PREFIX + id;
+}
+
+// Function to wrap rule text written in the extension, the user's ('user') or the policy's ('managed'),
+// in the same shape as a downloaded list's state
+function createCustomFilterState(text, lastUpdated, source = 'user') {
+  if (!text || !text.trim()) {
+    return null;
+  }
+
+  return {
+    text,
+    metadata: parseFilterListMetadata(text),
+    source,
+    lastUpdated
+  };
+}
+
+// Function to get the compiled cosmetic rules of a list copy, compiling it on first use
+function getCompiledListCosmetics(state) {
+  if (!state.cosmetic || state.cosmetic.version !== COSMETIC_FILTERS_FORMAT_VERSION) {
+    state.cosmetic = compileCosmeticFilters(state.text);
+  }
+  return state.cosmetic;
+}
+
+// Function to list every enabled list that has rules loaded, the policy's and the user's own rules last: { id, state }
+function getActiveFilterLists(subscriptions) {
+  const lists = subscriptions
+    .filter(subscription => subscription.enabled && filterListStates.has(subscription.id))
+    .map(subscription => ({ id: subscription.id, state: filterListStates.get(subscription.id) }))
+    .filter(list => list.state.text);
+
+  if (managedFilterState) {
+    lists.push({ id: MANAGED_FILTER_LIST_ID, state: managedFilterState });
+  }
+  if (customFilterState) {
+    lists.push({ id: CUSTOM_FILTER_LIST_ID, state: customFilterState });
+  }
+
+  return lists;
+}
+
+// Function to read the subscription array, adding any built-in list that is missing from storage
+function loadFilterSubscriptions() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [FILTER_SUBSCRIPTIONS_KEY]: null }, (result) => {
+      if (chrome.runtime.lastError) {
+        console.log('Error reading filter subscriptions:', chrome.runtime.lastError.message);
+      }
+
+      const stored = (result && result[FILTER_SUBSCRIPTIONS_KEY]) || [];
+      const subscriptions = stored.slice();
+
+      DEFAULT_FILTER_SUBSCRIPTIONS.forEach(defaultSubscription => {
+        const existing = subscriptions.find(subscription => subscription.id === defaultSubscription.id);
+        if (existing) {
+          // Keep the user's enabled choice but pick up URL/title changes shipped with updates
+          Object.assign(existing, defaultSubscription, { enabled: existing.enabled });
+        } else {
+          subscriptions.push({ ...defaultSubscription });
+        }
+      });
+
+      resolve(subscriptions);
+    });
+  });
+}
+
+// Function to persist the subscription array
+function saveFilterSubscriptions() {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [FILTER_SUBSCRIPTIONS_KEY]: filterSubscriptions }, () => {
+      if (chrome.runtime.lastError) {
+        console.log('Error saving filter subscriptions:', chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+}
+
+// Function to load a list shipped inside the extension package
+function loadBundledFilterList(subscription) {
+  return fetch(chrome.runtime.getURL(subscription.bundledPath))
+    .then(response => response.text())
+    .then(text => ({
+      text,
+      metadata: parseFilterListMetadata(text),
+      source: 'bundled',
+      lastUpdated: 0
+    }));
+}
+
+// Function to make sure subscriptions and every cached or bundled list are available
+function ensureFilterListsLoaded() {
+  if (filterSubscriptions) {
+    return Promise.resolve(filterSubscriptions);
+  }
+
+  if (filterListsLoadPromise) {
+    return filterListsLoadPromise;
+  }
+
+  filterListsLoadPromise = loadFilterSubscriptions()
+    .then(subscriptions => {
+      const cacheKeys = subscriptions
+        .filter(subscription => subscription.url)
+        .map(subscription => getFilterListCacheKey(subscription.id));
+      cacheKeys.push(CUSTOM_FILTER_RULES_KEY);
+
+      return new Promise((resolve) => {
+        chrome.storage.local.get(cacheKeys, (cached) => {
+          resolve({ subscriptions, cached: cached || {} });
+        });
+      });
+    })
+    .then(({ subscriptions, cached }) => {
+      const bundledLoads = subscriptions.map(subscription => {
+        if (subscription.bundledPath) {
+          return loadBundledFilterList(subscription)
+            .then(state => filterListStates.set(subscription.id, state))
+            .catch(error => {
+              console.error('Failed to load bundled filter list:', subscription.id, error);
+              filterListErrors.set(subscription.id, error.message);
+            });
+        }
+
+        const state = cached[getFilterListCacheKey(subscription.id)];
+        if (state && state.text) {
+          filterListStates.set(subscription.id, state);
+        }
+        return Promise.resolve();
+      });
+
+      const customRules = cached[CUSTOM_FILTER_RULES_KEY];
+      if (customRules) {
+        customFilterState = createCustomFilterState(customRules.text, customRules.lastUpdated);
+      }
+
+      return Promise.all(bundledLoads).then(() => subscriptions);
+    })
+    .then(subscriptions => {
+      filterSubscriptions = subscriptions;
+      clearCompiledFilters();
+      console.log('Filter lists loaded:', subscriptions.map(subscription => subscription.id).join(', '));
+      return subscriptions;
+    })
+    .finally(() => {
+      filterListsLoadPromise = null;
+    });
+
+  return filterListsLoadPromise;
+}
+
+// Function to check whether a list has passed its "! Expires:" window
+function isFilterListExpired(state) {
+  if (!state) return true;
+  return Date.now() >= state.lastUpdated + state.metadata.expiresMs;
+}
+
+// Function to download a fresh copy of one subscribed list
+function updateFilterList(subscription, force = false) {
+  // Bundled lists are updated together with the extension itself
+  if (!subscription.url) {
+    return Promise.resolve(filterListStates.get(subscription.id) || null);
+  }
+
+  if (filterListUpdatePromises.has(subscription.id)) {
+    return filterListUpdatePromises.get(subscription.id);
+  }
+
+  const currentState = filterListStates.get(subscription.id) || null;
+  if (!force && !isFilterListExpired(currentState)) {
+    return Promise.resolve(currentState);
+  }
+
+  console.log('Downloading filter list', subscription.id, 'from', subscription.url);
+  const updatePromise = fetch(subscription.url, { cache: 'no-store' })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
+      }
+      return response.text();
+    })
+    .then(text => {
+      // Guard against captive portals and error pages being cached as a list
+      if (!text.trim().startsWith('[Adblock') && !text.trim().startsWith('!')) {
+        throw new Error('Downloaded file is not a filter list');
+      }
+
+      // Compiled here once and cached with the text, so restarts of the service worker skip the parse
+      const newState = {
+        text,
+        metadata: parseFilterListMetadata(text),
+        source: 'remote',
+        lastUpdated: Date.now(),
+        cosmetic: compileCosmeticFilters(text)
+      };
+
+      filterListStates.set(subscription.id, newState);
+      filterListErrors.delete(subscription.id);
+      clearCompiledFilters();
+
+      chrome.storage.local.set({ [getFilterListCacheKey(subscription.id)]: newState }, () => {
+        if (chrome.runtime.lastError) {
+          console.log('Error caching filter list:', subscription.id, chrome.runtime.lastError.message);
+        } else {
+          console.log('Filter list cached:', subscription.id, 'version:', newState.metadata.version);
+        }
+      });
+
+      return newState;
+    })
+    .catch(error => {
+      // Keep serving the current copy until the next scheduled attempt
+      console.error('Failed to update filter list:', subscription.id, error);
+      filterListErrors.set(subscription.id, error.message);
+      return currentState;
+    })
+    .finally(() => {
+      filterListUpdatePromises.delete(subscription.id);
+    });
+
+  filterListUpdatePromises.set(subscription.id, updatePromise);
+  return updatePromise;
+}
+
+// Function to refresh every enabled list whose cached copy has expired
+function updateAllFilterLists(force = false) {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    const updates = subscriptions
+      .filter(subscription => subscription.enabled)
+      .map(subscription => updateFilterList(subscription, force));
+    return Promise.all(updates);
+  });
+}
+
+// Function to register the periodic alarm that checks whether lists need refreshing
+function scheduleFilterListUpdates() {
+  chrome.alarms.get(FILTER_LIST_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(FILTER_LIST_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: FILTER_LIST_CHECK_INTERVAL_MINUTES
+      });
+    }
+  });
+}
+
+// Function to get the merged, deduplicated cosmetic selectors of all enabled lists for a hostname
+function getCosmeticSelectorsForHostname(hostname) {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    const cacheKey = hostname || '';
+    if (selectorCache.has(cacheKey)) {
+      const selectors = selectorCache.get(cacheKey);
+      // Re-insert to mark as most recently used
+      selectorCache.delete(cacheKey);
+      selectorCache.set(cacheKey, selectors);
+      return selectors;
+    }
+
+    // Refresh in the background, the current copies keep being served meanwhile
+    subscriptions.forEach(subscription => {
+      if (subscription.enabled && isFilterListExpired(filterListStates.get(subscription.id))) {
+        updateFilterList(subscription, false);
+      }
+    });
+
+    const compiledLists = getActiveFilterLists(subscriptions).map(list => getCompiledListCosmetics(list.state));
+
+    // Resolve the enabled lists together so an exception rule in one list cancels hiding rules from another
+    const merged = new Set(getCompiledCosmeticSelectors(compiledLists, hostname));
+    const selectors = Array.from(merged);
+    selectorCache.set(cacheKey, selectors);
+
+    if (selectorCache.size > SELECTOR_CACHE_LIMIT) {
+      selectorCache.delete(selectorCache.keys().next().value);
+    }
+
+    return selectors;
+  });
+}
+
+// Function to get the selectors of elements that must never be covered on a hostname, see getCompiledOverlayExceptions.
+// Only the user's own rules count, where the element picker saves them: the "#@#" rules of subscribed lists
+// undo a generic hiding rule to fix a site, they only cancel hiding.
+function getOverlayExceptionsForHostname(hostname) {
+  return ensureFilterListsLoaded().then(() => customFilterState
+    ? getCompiledOverlayExceptions([getCompiledListCosmetics(customFilterState)], hostname)
+    : []);
+}
+
+// Function to get the network rule matcher of all enabled lists, compiling lists on first use
+function getNetworkMatcher() {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    if (networkMatcher) {
+      return networkMatcher;
+    }
+
+    const rules = [];
+
+    getActiveFilterLists(subscriptions).forEach(({ id, state }) => {
+      if (!networkRuleCache.has(state)) {
+        networkRuleCache.set(state, compileNetworkFilters(state.text, id));
+      }
+      rules.push(...networkRuleCache.get(state));
+    });
+
+    networkMatcher = createNetworkMatcher(rules);
+    return networkMatcher;
+  });
+}
+
+// Function to classify resource URLs found on a page against the network rules.
+// Each request is { url, type } with type one of NETWORK_REQUEST_TYPES; the result holds, per request,
+// the matching blocking rule as { filter, listId } or null.
+function classifyUrlsForHostname(requests, hostname) {
+  return getNetworkMatcher().then(matcher => {
+    if (matcher.isPageAllowlisted(hostname || '')) {
+      return requests.map(() => null);
+    }
+
+    return requests.map(request => {
+      const rule = matcher.match(request.url, request.type, hostname);
+      return rule ? { filter: rule.text, listId: rule.listId, listTitle: getFilterListTitle(rule.listId) } : null;
+    });
+  });
+}
+
+// Function to get the display title of a subscription
+function getFilterListTitle(id) {
+  if (id === CUSTOM_FILTER_LIST_ID) {
+    return CUSTOM_FILTER_LIST_TITLE;
+  }
+  if (id === MANAGED_FILTER_LIST_ID) {
+    return MANAGED_FILTER_LIST_TITLE;
+  }
+
+  const subscription = (filterSubscriptions || []).find(item => item.id === id);
+  if (!subscription) {
+    return id;
+  }
+
+  const state = filterListStates.get(id);
+  return subscription.title || (state && state.metadata.title) || subscription.url;
+}
+
+// Function to find, for each selector served to a hostname, the cosmetic rule line and list it came from.
+// Used to explain overlays; the result holds { filter, listId, listTitle } or null per selector.
+function findCosmeticFilterSources(selectors, hostname) {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    const activeLists = getActiveFilterLists(subscriptions);
+
+    const findInList = (list, selector) => {
+      const text = list.state.text;
+
+      for (const separator of ['##', '#?#']) {
+        const needle = separator + selector;
+        let index = text.indexOf(needle);
+
+        while (index !== -1) {
+          const lineStart = text.lastIndexOf('\n', index) + 1;
+          const lineEnd = text.indexOf('\n', index) === -1 ? text.length : text.indexOf('\n', index);
+          const domains = text.substring(lineStart, index).trim();
+          const line = text.substring(lineStart, lineEnd).trim();
+
+          // The whole line must be this rule, and its domains must cover the hostname
+          if (line === domains + needle && (!domains || ruleAppliesToHostname(domains, hostname))) {
+            return { filter: line, listId: list.id, listTitle: getFilterListTitle(list.id) };
+          }
+          index = text.indexOf(needle, index + 1);
+        }
+      }
+      return null;
+    };
+
+    return selectors.map(selector => {
+      for (const list of activeLists) {
+        const source = findInList(list, selector);
+        if (source) return source;
+      }
+      return null;
+    });
+  });
+}
+
+// Function to describe every subscription for the options page
+function getFilterListsInfo() {
+  return ensureFilterListsLoaded().then(subscriptions => subscriptions.map(subscription => {
+    const state = filterListStates.get(subscription.id);
+    return {
+      id: subscription.id,
+      title: subscription.title || (state && state.metadata.title) || subscription.url,
+      url: subscription.url,
+      enabled: subscription.enabled,
+      builtIn: !!subscription.builtIn,
+      source: state ? state.source : null,
+      version: state ? state.metadata.version : null,
+      ruleCount: state ? state.metadata.ruleCount : 0,
+      lastUpdated: state ? state.lastUpdated : null,
+      updating: filterListUpdatePromises.has(subscription.id),
+      error: filterListErrors.get(subscription.id) || null
+    };
+  }));
+}
+
+// Function to enable or disable a subscription
+function setFilterListEnabled(id, enabled) {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    const subscription = subscriptions.find(item => item.id === id);
+    if (!subscription) {
+      throw new Error('Unknown filter list: ' + id);
+    }
+
+    subscription.enabled = !!enabled;
+    clearCompiledFilters();
+
+    return saveFilterSubscriptions().then(() => {
+      // Download straight away so the rule count shows up in the options page
+      if (subscription.enabled) {
+        return updateFilterList(subscription, false);
+      }
+      return null;
+    });
+  });
+}
+
+// Function to subscribe to a new list by URL
+function addFilterSubscription(url, title) {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      throw new Error('Invalid filter list URL');
+    }
+
+    if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+      throw new Error('Filter list URL must use http or https');
+    }
+
+    if (subscriptions.some(subscription => subscription.url === parsedUrl.href)) {
+      throw new Error('This filter list is already subscribed');
+    }
+
+    const subscription = {
+      id: 'custom-' + Date.now().toString(36),
+      title: title ? title.trim() : '',
+      url: parsedUrl.href,
+      enabled: true,
+      builtIn: false
+    };
+
+    subscriptions.push(subscription);
+
+    return saveFilterSubscriptions()
+      .then(() => updateFilterList(subscription, true))
+      .then(() => subscription);
+  });
+}
+
+// Function to unsubscribe from a user-added list and drop its cached copy
+function removeFilterSubscription(id) {
+  return ensureFilterListsLoaded().then(subscriptions => {
+    const index = subscriptions.findIndex(subscription => subscription.id === id);
+    if (index === -1) {
+      throw new Error('Unknown filter list: ' + id);
+    }
+
+    if (subscriptions[index].builtIn) {
+      throw new Error('Built-in filter lists can only be disabled');
+    }
+
+    subscriptions.splice(index, 1);
+    filterListStates.delete(id);
+    filterListErrors.delete(id);
+    clearCompiledFilters();
+
+    chrome.storage.local.remove(getFilterListCacheKey(id));
+    return saveFilterSubscriptions();
+  });
+}
+
+// Function to get the user's own rules for the options page, with the rules set by policy next to them
+function getCustomFilterRules() {
+  return ensureFilterListsLoaded().then(() => ({
+    text: customFilterState ? customFilterState.text : '',
+    ruleCount: customFilterState ? customFilterState.metadata.ruleCount : 0,
+    lastUpdated: customFilterState ? customFilterState.lastUpdated : null,
+    managed: {
+      text: managedFilterState ? managedFilterState.text : '',
+      ruleCount: managedFilterState ? managedFilterState.metadata.ruleCount : 0
+    }
+  }));
+}
+
+// Function to add one line to the user's own rules, e.g. from the element picker. A line that is
+// already there is not added twice.
+function addCustomFilterRule(line) {
+  return ensureFilterListsLoaded().then(() => {
+    const text = customFilterState ? customFilterState.text : '';
+    const lines = text.split('\n').map(item => item.trim());
+    if (lines.includes(line)) {
+      return getCustomFilterRules();
+    }
+
+    return setCustomFilterRules(text.replace(/\n*$/, '') + (text.trim() ? '\n' : '') + line);
+  });
+}
+
+// Function to take over the rules set by policy. Returns whether they changed.
+function setManagedFilterRules(text) {
+  const current = managedFilterState ? managedFilterState.text : '';
+  if (text === current) {
+    return false;
+  }
+
+  managedFilterState = createCustomFilterState(text, Date.now(), 'managed');
+  clearCompiledFilters();
+  return true;
+}
+
+// Function to replace the user's own rules. Lines are checked in the options page;
+// anything the parsers do not understand is ignored here like in any other list.
+function setCustomFilterRules(text) {
+  return ensureFilterListsLoaded().then(() => {
+    if (typeof text !== 'string') {
+      throw new Error('Custom rules must be text');
+    }
+
+    const normalized = text.replace(/\r\n?/g, '\n');
+    const lastUpdated = Date.now();
+    customFilterState = createCustomFilterState(normalized, lastUpdated);
+    clearCompiledFilters();
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [CUSTOM_FILTER_RULES_KEY]: { text: normalized, lastUpdated } }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }).then(() => getCustomFilterRules());
+}
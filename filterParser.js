@@ -0,0 +1,555 @@
+// Filter List Parsing Functions
+// DOM-free EasyList parsing shared by the background service worker and content scripts
+
+// Default update interval used when a list does not declare "! Expires:" (EasyList uses 4 days)
+const DEFAULT_FILTER_LIST_EXPIRY_MS = 4 * 24 * 60 * 60 * 1000;
+
+// Lists are never refreshed more often than this, whatever their header says
+const MIN_FILTER_LIST_EXPIRY_MS = 60 * 60 * 1000;
+
+// Function to read the "! Key: value" header block at the top of a filter list
+function parseFilterListMetadata(filterText) {
+  const metadata = {
+    title: null,
+    version: null,
+    expiresMs: DEFAULT_FILTER_LIST_EXPIRY_MS,
+    ruleCount: 0
+  };
+  
+  if (!filterText) {
+    return metadata;
+  }
+  
+  metadata.ruleCount = countFilterRules(filterText);
+  
+  const lines = filterText.split('\n');
+  
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+    
+    if (!trimmedLine || trimmedLine.startsWith('[Adblock')) {
+      continue;
+    }
+    
+    // The header ends at the first line that is not a comment
+    if (!trimmedLine.startsWith('!')) {
+      break;
+    }
+    
+    const match = trimmedLine.match(/^!\s*([\w ]+?)\s*:\s*(.+)$/);
+    if (!match) {
+      continue;
+    }
+    
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+    
+    if (key === 'title') {
+      metadata.title = value;
+    } else if (key === 'version') {
+      metadata.version = value;
+    } else if (key === 'expires') {
+      metadata.expiresMs = parseExpiresValue(value);
+    }
+  }
+  
+  return metadata;
+}
+
+// Function to count the rule lines of a filter list, skipping comments and blank lines
+function countFilterRules(filterText) {
+  let count = 0;
+  
+  for (const line of filterText.split('\n')) {
+    const trimmedLine = line.trim();
+    if (trimmedLine && !trimmedLine.startsWith('!') && !trimmedLine.startsWith('[Adblock')) {
+      count++;
+    }
+  }
+  
+  return count;
+}
+
+// Function to convert an "! Expires:" value like "4 days (update frequency)" or "12 hours" to milliseconds
+function parseExpiresValue(value) {
+  const match = value.match(/^(\d+)\s*(d|day|days|h|hour|hours)?\b/i);
+  if (!match) {
+    return DEFAULT_FILTER_LIST_EXPIRY_MS;
+  }
+  
+  const amount = parseInt(match[1], 10);
+  const unit = (match[2] || 'days').toLowerCase();
+  const expiresMs = unit.startsWith('h') ? amount * 60 * 60 * 1000 : amount * 24 * 60 * 60 * 1000;
+  
+  return Math.max(expiresMs, MIN_FILTER_LIST_EXPIRY_MS);
+}
+
+// Network filter options that switch off cosmetic filtering for the matching site
+const COSMETIC_EXCEPTION_OPTIONS = {
+  elemhide: 'elemhide',
+  ehide: 'elemhide',
+  generichide: 'generichide',
+  ghide: 'generichide'
+};
+
+// Public suffixes made of several labels, a subset of the Public Suffix List (publicsuffix.org) covering
+// the regions our users browse. Any single top-level label (com, in, id...) is a public suffix on its own.
+const MULTI_LABEL_PUBLIC_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'sch.uk',
+  'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in', 'res.in', 'gov.in', 'nic.in',
+  'co.id', 'web.id', 'my.id', 'biz.id', 'or.id', 'ac.id', 'sch.id', 'go.id', 'net.id', 'mil.id',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au', 'co.nz', 'net.nz', 'org.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'co.kr', 'or.kr', 'ne.kr',
+  'com.cn', 'net.cn', 'org.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.ph', 'com.vn',
+  'co.th', 'in.th', 'com.pk', 'com.bd', 'com.np', 'com.lk', 'com.tr', 'com.sa', 'com.eg', 'co.il',
+  'co.za', 'com.ng', 'co.ke', 'com.br', 'com.ar', 'com.mx', 'com.co', 'com.pe', 'com.ua', 'co.ua',
+  'blogspot.com', 'github.io', 'gitlab.io', 'herokuapp.com', 'appspot.com', 'netlify.app',
+  'vercel.app', 'pages.dev', 'web.app', 'firebaseapp.com', 'azurewebsites.net', 'cloudfront.net'
+]);
+
+// Parsed domain lists keyed by their source text
+const domainListCache = new Map();
+
+// Function to lower-case a hostname and drop a trailing dot ("example.com." is the same site)
+function normalizeHostname(hostname) {
+  return (hostname || '').toLowerCase().replace(/\.$/, '');
+}
+
+// Function to get the public suffix of a hostname ("news.bbc.co.uk" -> "co.uk")
+function getPublicSuffix(hostname) {
+  const labels = normalizeHostname(hostname).split('.');
+  
+  // The longest listed suffix wins
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (MULTI_LABEL_PUBLIC_SUFFIXES.has(candidate)) {
+      return candidate;
+    }
+  }
+  
+  return labels[labels.length - 1];
+}
+
+// Function to get the registrable part of a hostname ("ads.example.co.uk" -> "example.co.uk"),
+// used to tell first-party from third-party requests
+function getBaseDomain(hostname) {
+  const normalized = normalizeHostname(hostname);
+  if (!normalized) {
+    return '';
+  }
+  
+  const suffix = getPublicSuffix(normalized);
+  if (normalized === suffix) {
+    return normalized;
+  }
+  
+  const labels = normalized.substring(0, normalized.length - suffix.length - 1).split('.');
+  return labels[labels.length - 1] + '.' + suffix;
+}
+
+// Function to check whether a hostname is covered by one rule domain: the domain itself, a subdomain of it,
+// or for entity domains such as "google.*" the same name under any public suffix
+function hostnameMatchesDomain(hostname, domain) {
+  if (domain.endsWith('.*')) {
+    const entity = domain.substring(0, domain.length - 2);
+    const suffix = getPublicSuffix(hostname);
+    if (hostname === suffix) {
+      return false;
+    }
+    const withoutSuffix = hostname.substring(0, hostname.length - suffix.length - 1);
+    return withoutSuffix === entity || withoutSuffix.endsWith('.' + entity);
+  }
+  
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// Function to split a rule's domain list ("a.com,~b.a.com" or "a.com|~b.a.com") into included and excluded domains
+function parseDomainList(domains) {
+  if (domainListCache.has(domains)) {
+    return domainListCache.get(domains);
+  }
+  
+  const parsed = { includes: [], excludes: [] };
+  
+  domains.split(/[,|]/).forEach(item => {
+    const domain = normalizeHostname(item.trim());
+    if (domain.startsWith('~')) {
+      if (domain.length > 1) parsed.excludes.push(domain.substring(1));
+    } else if (domain) {
+      parsed.includes.push(domain);
+    }
+  });
+  
+  domainListCache.set(domains, parsed);
+  return parsed;
+}
+
+// Function to rank how specific a rule domain is: more labels is more specific,
+// an entity's wildcard ("google.*") counting as one label
+function getDomainSpecificity(domain) {
+  return domain.split('.').length;
+}
+
+// Function to check whether a rule's domain list applies to the current hostname.
+// The most specific matching domain decides ("a.com,~b.a.com,c.b.a.com" applies on c.b.a.com but not on b.a.com),
+// an exclusion wins a tie, and a list made only of exclusions applies everywhere else.
+function ruleAppliesToHostname(domains, currentHostname) {
+  const { includes, excludes } = parseDomainList(domains);
+  const hostname = normalizeHostname(currentHostname);
+  
+  if (!hostname) {
+    return includes.length === 0;
+  }
+  
+  let bestSpecificity = -1;
+  let applies = null;
+  
+  includes.forEach(domain => {
+    const specificity = getDomainSpecificity(domain);
+    if (specificity > bestSpecificity && hostnameMatchesDomain(hostname, domain)) {
+      bestSpecificity = specificity;
+      applies = true;
+    }
+  });
+  
+  excludes.forEach(domain => {
+    const specificity = getDomainSpecificity(domain);
+    if (specificity >= bestSpecificity && hostnameMatchesDomain(hostname, domain)) {
+      bestSpecificity = specificity;
+      applies = false;
+    }
+  });
+  
+  if (applies !== null) {
+    return applies;
+  }
+  
+  return includes.length === 0;
+}
+
+// Function to check whether a domain list names no site of its own (only exclusions), making the rule generic
+function isGenericDomainList(domains) {
+  return parseDomainList(domains).includes.length === 0;
+}
+
+// Function to read an "@@" network exception and return 'elemhide' or 'generichide' when it
+// switches off cosmetic filtering for the current hostname, null otherwise
+function getCosmeticExceptionOption(line, currentHostname) {
+  const optionsIndex = line.lastIndexOf('$');
+  if (optionsIndex === -1 || !currentHostname) {
+    return null;
+  }
+  
+  const pattern = line.substring(2, optionsIndex);
+  const options = line.substring(optionsIndex + 1).toLowerCase().split(',');
+  
+  let exceptionType = null;
+  let domainOption = null;
+  
+  for (const option of options) {
+    if (COSMETIC_EXCEPTION_OPTIONS[option.trim()]) {
+      // elemhide wins over generichide when a rule lists both
+      if (exceptionType !== 'elemhide') {
+        exceptionType = COSMETIC_EXCEPTION_OPTIONS[option.trim()];
+      }
+    } else if (option.startsWith('domain=')) {
+      domainOption = option.substring('domain='.length).replace(/\|/g, ',');
+    }
+  }
+  
+  if (!exceptionType) {
+    return null;
+  }
+  
+  // Site taken from the pattern: ||example.com^ or |https://example.com/
+  const hostMatch = pattern.match(/^(?:\|\||\|https?:\/\/)([a-z0-9.-]+)/i);
+  
+  if (hostMatch) {
+    if (!hostnameMatchesDomain(normalizeHostname(currentHostname), normalizeHostname(hostMatch[1]))) {
+      return null;
+    }
+  } else if (pattern && pattern !== '*') {
+    // Other URL patterns cannot be resolved against a bare hostname
+    return null;
+  }
+  
+  if (domainOption && !ruleAppliesToHostname(domainOption, currentHostname)) {
+    return null;
+  }
+  
+  // A bare "@@$generichide" with neither a site nor a domain option would disable filtering everywhere
+  if (!hostMatch && !domainOption) {
+    return null;
+  }
+  
+  return exceptionType;
+}
+
+// A rule domain: a hostname, optionally negated with "~", or an entity such as "google.*"
+const RULE_DOMAIN_PATTERN = /^~?(?:[a-z0-9_-]+\.)*[a-z0-9_-]+(?:\.\*)?$/i;
+
+// Function to check whether one entry of a rule's domain list is well formed
+function isValidRuleDomain(domain) {
+  return RULE_DOMAIN_PATTERN.test(normalizeHostname(domain.trim()));
+}
+
+// Function to split a cosmetic rule line into its parts:
+// { domains, separator, selector, exception, procedural }, or null for any other kind of line
+function splitCosmeticRule(line) {
+  const match = line.trim().match(/^([^#]*)(#@?\??#)(.*)$/);
+  if (!match) {
+    return null;
+  }
+  
+  const separator = match[2];
+  return {
+    domains: match[1].trim(),
+    separator,
+    selector: match[3].trim(),
+    exception: separator.includes('@'),
+    procedural: separator.includes('?')
+  };
+}
+
+// Version of the compiled cosmetic filter format; stored copies built with another version are compiled again
+const COSMETIC_FILTERS_FORMAT_VERSION = 1;
+
+// Function to create an empty set of domain-scoped rules. Rules are bucketed under every domain they name,
+// so a hostname only checks the rules mentioning one of its domains. A rule naming a single domain is stored
+// as its bare selector, others as [domains, selector]; rules that only exclude sites go to exclusionOnly.
+function createScopedRuleSet() {
+  return { byDomain: {}, exclusionOnly: [] };
+}
+
+// Function to add one domain-scoped rule to a rule set
+function addScopedRule(ruleSet, domains, selector) {
+  const { includes, excludes } = parseDomainList(domains);
+  
+  // Rules that only exclude sites can apply anywhere
+  if (includes.length === 0) {
+    ruleSet.exclusionOnly.push([domains, selector]);
+    return;
+  }
+  
+  const entry = includes.length === 1 && excludes.length === 0 ? selector : [domains, selector];
+  
+  includes.forEach(domain => {
+    if (!Object.prototype.hasOwnProperty.call(ruleSet.byDomain, domain)) {
+      ruleSet.byDomain[domain] = [];
+    }
+    ruleSet.byDomain[domain].push(entry);
+  });
+}
+
+// Function to list the index keys a hostname is reachable under: itself, its parent domains and its
+// entity names ("www.google.co.uk" -> "www.google.co.uk", "google.co.uk", "co.uk", "uk", "www.google.*", "google.*")
+function getDomainIndexKeys(hostname) {
+  const keys = [];
+  const labels = hostname.split('.');
+  
+  for (let i = 0; i < labels.length; i++) {
+    keys.push(labels.slice(i).join('.'));
+  }
+  
+  const suffix = getPublicSuffix(hostname);
+  if (hostname !== suffix) {
+    const entityLabels = hostname.substring(0, hostname.length - suffix.length - 1).split('.');
+    for (let i = 0; i < entityLabels.length; i++) {
+      keys.push(entityLabels.slice(i).join('.') + '.*');
+    }
+  }
+  
+  return keys;
+}
+
+// Function to collect the selectors of a rule set that apply to a hostname.
+// Rules whose domain list only excludes sites go to genericSelectors, the others to specificSelectors.
+function collectScopedSelectors(ruleSet, currentHostname, genericSelectors, specificSelectors) {
+  const hostname = normalizeHostname(currentHostname);
+  
+  ruleSet.exclusionOnly.forEach(([domains, selector]) => {
+    if (ruleAppliesToHostname(domains, hostname)) {
+      genericSelectors.push(selector);
+    }
+  });
+  
+  if (!hostname) {
+    return;
+  }
+  
+  // A rule naming several domains sits in several buckets, take it once
+  const seenRules = new Set();
+  
+  getDomainIndexKeys(hostname).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(ruleSet.byDomain, key)) return;
+    
+    ruleSet.byDomain[key].forEach(entry => {
+      // Bare selectors name only this domain, which the hostname belongs to
+      if (typeof entry === 'string') {
+        specificSelectors.push(entry);
+        return;
+      }
+      
+      const ruleKey = entry[0] + '\n' + entry[1];
+      if (seenRules.has(ruleKey)) return;
+      seenRules.add(ruleKey);
+      
+      if (ruleAppliesToHostname(entry[0], hostname)) {
+        specificSelectors.push(entry[1]);
+      }
+    });
+  });
+}
+
+// Function to check whether an "@@" line carries an option that can switch off cosmetic filtering
+function hasCosmeticExceptionOption(line) {
+  const optionsIndex = line.lastIndexOf('$');
+  if (optionsIndex === -1) {
+    return false;
+  }
+  
+  return line.substring(optionsIndex + 1).toLowerCase().split(',')
+    .some(option => Object.prototype.hasOwnProperty.call(COSMETIC_EXCEPTION_OPTIONS, option.trim()));
+}
+
+// Function to compile the cosmetic rules of a list once into a plain, JSON-serializable structure:
+// generic selectors, domain-scoped rules indexed by domain, their exceptions and the $elemhide/$generichide
+// exception lines. getCompiledCosmeticSelectors then answers per hostname without re-reading the list.
+function compileCosmeticFilters(filterText) {
+  const compiled = {
+    version: COSMETIC_FILTERS_FORMAT_VERSION,
+    genericSelectors: [],
+    scopedSelectors: createScopedRuleSet(),
+    genericExceptions: [],
+    scopedExceptions: createScopedRuleSet(),
+    hideExceptions: []
+  };
+  
+  for (const line of filterText.split('\n')) {
+    const trimmedLine = line.trim();
+    
+    // Skip comments and empty lines
+    if (!trimmedLine || trimmedLine.startsWith('!') || trimmedLine.startsWith('[Adblock')) {
+      continue;
+    }
+    
+    // Network exceptions matter here only when they switch off cosmetic filtering, they are resolved per hostname
+    if (trimmedLine.startsWith('@@')) {
+      if (hasCosmeticExceptionOption(trimmedLine)) {
+        compiled.hideExceptions.push(trimmedLine);
+      }
+      continue;
+    }
+    
+    // Element hiding (##), extended CSS (#?#) and their exceptions (#@#, #@?#)
+    const rule = splitCosmeticRule(trimmedLine);
+    if (!rule || !rule.selector) {
+      continue;
+    }
+    
+    if (rule.exception) {
+      if (rule.domains) {
+        addScopedRule(compiled.scopedExceptions, rule.domains, rule.selector);
+      } else {
+        compiled.genericExceptions.push(rule.selector);
+      }
+    } else if (rule.domains) {
+      addScopedRule(compiled.scopedSelectors, rule.domains, rule.selector);
+    } else {
+      compiled.genericSelectors.push(rule.selector);
+    }
+  }
+  
+  return compiled;
+}
+
+// Function to get the selectors that apply to a hostname from one or more compiled lists.
+// The lists are resolved together so an exception rule in one list cancels hiding rules from another.
+function getCompiledCosmeticSelectors(compiledLists, currentHostname) {
+  const selectors = [];
+  const domainSpecificSelectors = [];
+  const exceptionSelectors = new Set();
+  let elemHideDisabled = false;
+  let genericHideDisabled = false;
+  
+  compiledLists.forEach(compiled => {
+    // Handle network exceptions that switch off cosmetic filtering ($elemhide / $generichide)
+    compiled.hideExceptions.forEach(line => {
+      const exceptionType = getCosmeticExceptionOption(line, currentHostname);
+      if (exceptionType === 'elemhide') {
+        elemHideDisabled = true;
+      } else if (exceptionType === 'generichide') {
+        genericHideDisabled = true;
+      }
+    });
+    
+    compiled.genericSelectors.forEach(selector => selectors.push(selector));
+    collectScopedSelectors(compiled.scopedSelectors, currentHostname, selectors, domainSpecificSelectors);
+    
+    // Without domains an exception cancels the selector everywhere
+    compiled.genericExceptions.forEach(selector => exceptionSelectors.add(selector));
+    const scopedExceptions = [];
+    collectScopedSelectors(compiled.scopedExceptions, currentHostname, scopedExceptions, scopedExceptions);
+    scopedExceptions.forEach(selector => exceptionSelectors.add(selector));
+  });
+  
+  // $elemhide turns off every cosmetic rule for the site
+  if (elemHideDisabled) {
+    return [];
+  }
+  
+  // Drop selectors cancelled by a matching exception rule
+  const isNotExcepted = selector => !exceptionSelectors.has(selector);
+  
+  // $generichide keeps only the rules written for this site
+  const genericSelectors = genericHideDisabled ? [] : selectors.filter(isNotExcepted);
+  
+  // Combine global and domain-specific selectors
+  return [...genericSelectors, ...domainSpecificSelectors.filter(isNotExcepted)];
+}
+
+// Function to get the selectors of the site-scoped exception rules ("example.com#@#.sponsor-button") that
+// apply to a hostname. Given the user's own rules, these mark elements that must never be covered by an
+// overlay, whichever detection found them. Exceptions without a site only cancel hiding rules.
+function getCompiledOverlayExceptions(compiledLists, currentHostname) {
+  const exceptions = new Set();
+  
+  compiledLists.forEach(compiled => {
+    const siteSelectors = [];
+    collectScopedSelectors(compiled.scopedExceptions, currentHostname, [], siteSelectors);
+    siteSelectors.forEach(selector => exceptions.add(selector));
+  });
+  
+  return Array.from(exceptions);
+}
+
+// Function to parse cosmetic filters from EasyList for one hostname
+function parseCosmeticFilters(filterText, currentHostname) {
+  return getCompiledCosmeticSelectors([compileCosmeticFilters(filterText)], currentHostname);
+}
+
+// Export functions for use in background.js and content scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_FILTER_LIST_EXPIRY_MS,
+    MIN_FILTER_LIST_EXPIRY_MS,
+    parseFilterListMetadata,
+    countFilterRules,
+    parseExpiresValue,
+    normalizeHostname,
+    getPublicSuffix,
+    getBaseDomain,
+    hostnameMatchesDomain,
+    parseDomainList,
+    ruleAppliesToHostname,
+    isGenericDomainList,
+    isValidRuleDomain,
+    splitCosmeticRule,
+    getCosmeticExceptionOption,
+    COSMETIC_FILTERS_FORMAT_VERSION,
+    compileCosmeticFilters,
+    getCompiledCosmeticSelectors,
+    getCompiledOverlayExceptions,
+    parseCosmeticFilters
+  };
+}
@@ -0,0 +1,108 @@
+// Managed Policy Functions
+// What an administrator sets through enterprise policy (chrome.storage.managed, described by managed_schema.json):
+// a forced default, site list entries and filter rules the user cannot override. Locked appearance and detection
+// settings are read by settings.js. Loaded into the background service worker after siteSettings.js.
+//
+// Precedence for a hostname: a matching policy site entry, then the policy's default when it sets one, then the
+// user's site lists and default. A policy default therefore also switches off the user's site lists.
+
+// Policy with nothing set
+const MANAGED_POLICY_DEFAULTS = {
+  adGuardEnabled: null,
+  enabledSites: [],
+  disabledSites: [],
+  customFilterRules: ''
+};
+
+// Shown next to every control the policy locks
+const MANAGED_POLICY_NOTE = 'Managed by your organization';
+
+// Function to keep the usable parts of a stored policy. Invalid entries are reported and ignored.
+function sanitizeManagedPolicy(stored) {
+  const policy = { ...MANAGED_POLICY_DEFAULTS };
+  const source = stored && typeof stored === 'object' ? stored : {};
+
+  if (typeof source.adGuardEnabled === 'boolean') {
+    policy.adGuardEnabled = source.adGuardEnabled;
+  } else if (source.adGuardEnabled !== undefined) {
+    console.warn('Ignoring managed adGuardEnabled: must be true or false');
+  }
+
+  ['enabledSites', 'disabledSites'].forEach(listName => {
+    if (source[listName] === undefined) return;
+    if (!Array.isArray(source[listName])) {
+      console.warn('Ignoring managed ' + listName + ': must be a list of sites');
+      return;
+    }
+
+    const { patterns, invalid } = sanitizeSitePatterns(source[listName].filter(item => typeof item === 'string'));
+    if (invalid.length > 0) {
+      console.warn('Ignoring managed ' + listName + ' entries: ' + invalid.join(', '));
+    }
+    policy[listName] = patterns;
+  });
+
+  if (typeof source.customFilterRules === 'string') {
+    policy.customFilterRules = source.customFilterRules.replace(/\r\n?/g, '\n');
+  } else if (source.customFilterRules !== undefined) {
+    console.warn('Ignoring managed customFilterRules: must be text');
+  }
+
+  return policy;
+}
+
+// Function to read the policy. Resolves to MANAGED_POLICY_DEFAULTS when there is no policy
+// or the browser has no managed storage.
+function loadManagedPolicy() {
+  return new Promise((resolve) => {
+    if (!chrome.storage.managed) {
+      resolve({ ...MANAGED_POLICY_DEFAULTS });
+      return;
+    }
+
+    chrome.storage.managed.get(Object.keys(MANAGED_POLICY_DEFAULTS), (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to read managed policy:', chrome.runtime.lastError.message);
+        resolve({ ...MANAGED_POLICY_DEFAULTS });
+        return;
+      }
+      resolve(sanitizeManagedPolicy(result));
+    });
+  });
+}
+
+// Function to check whether the policy sets the default for all sites
+function isDefaultManaged(policy) {
+  return policy.adGuardEnabled !== null;
+}
+
+// Function to resolve whether protection runs on a hostname with the policy applied:
+// { enabled, source, pattern, managed } where managed tells whether the user can change it
+function resolveManagedSiteState(hostname, settings, policy) {
+  const managedSite = resolveSiteState(hostname, {
+    adGuardEnabled: false,
+    enabledSites: policy.enabledSites,
+    disabledSites: policy.disabledSites
+  });
+  if (managedSite.source !== SITE_STATE_SOURCES.default) {
+    return { ...managedSite, managed: true };
+  }
+
+  if (isDefaultManaged(policy)) {
+    return { enabled: policy.adGuardEnabled, source: SITE_STATE_SOURCES.default, pattern: null, managed: true };
+  }
+
+  return { ...resolveSiteState(hostname, settings), managed: false };
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MANAGED_POLICY_DEFAULTS,
+    MANAGED_POLICY_NOTE,
+    sanitizeManagedPolicy,
+    loadManagedPolicy,
+    isDefaultManaged,
+    resolveManagedSiteState
+  };
+}
@@ -0,0 +1,387 @@
+// Network Filter Functions
+// Compiles EasyList network rules (||adnetwork.com^$third-party) into an indexed URL matcher.
+// DOM-free, loaded into the background service worker with importScripts() after filterParser.js.
+
+// Request types a content script can classify, as bit flags
+const NETWORK_TYPE_SCRIPT = 1;
+const NETWORK_TYPE_IMAGE = 2;
+const NETWORK_TYPE_SUBDOCUMENT = 4;
+const NETWORK_TYPE_POPUP = 8;
+const NETWORK_TYPE_DOCUMENT = 16;
+const NETWORK_TYPE_OTHER = 32;
+
+// Rules without type options apply to every type except documents and popups (ABP semantics)
+const NETWORK_TYPE_DEFAULT = NETWORK_TYPE_SCRIPT | NETWORK_TYPE_IMAGE | NETWORK_TYPE_SUBDOCUMENT | NETWORK_TYPE_OTHER;
+
+const NETWORK_TYPE_OPTIONS = {
+  script: NETWORK_TYPE_SCRIPT,
+  image: NETWORK_TYPE_IMAGE,
+  subdocument: NETWORK_TYPE_SUBDOCUMENT,
+  frame: NETWORK_TYPE_SUBDOCUMENT,
+  popup: NETWORK_TYPE_POPUP,
+  document: NETWORK_TYPE_DOCUMENT,
+  doc: NETWORK_TYPE_DOCUMENT,
+  stylesheet: NETWORK_TYPE_OTHER,
+  css: NETWORK_TYPE_OTHER,
+  object: NETWORK_TYPE_OTHER,
+  xmlhttprequest: NETWORK_TYPE_OTHER,
+  xhr: NETWORK_TYPE_OTHER,
+  media: NETWORK_TYPE_OTHER,
+  font: NETWORK_TYPE_OTHER,
+  ping: NETWORK_TYPE_OTHER,
+  websocket: NETWORK_TYPE_OTHER,
+  webrtc: NETWORK_TYPE_OTHER,
+  other: NETWORK_TYPE_OTHER
+};
+
+// Request type names sent by content scripts
+const NETWORK_REQUEST_TYPES = {
+  script: NETWORK_TYPE_SCRIPT,
+  image: NETWORK_TYPE_IMAGE,
+  subdocument: NETWORK_TYPE_SUBDOCUMENT,
+  // Links are matched by popup/document rules and by untyped rules: an anchor pointing at an
+  // ad server is an ad click-through even though no request has been made yet
+  link: NETWORK_TYPE_POPUP | NETWORK_TYPE_DOCUMENT
+};
+
+// Options that rewrite or redirect requests rather than block them, such rules are ignored
+const NETWORK_MODIFIER_OPTIONS = ['csp', 'redirect', 'redirect-rule', 'rewrite', 'removeparam', 'queryprune',
+  'header', 'permissions', 'replace', 'cookie', 'urltransform', 'empty', 'mp4', 'sitekey', 'genericblock'];
+
+// Options that only matter for cosmetic filtering, handled by parseCosmeticFilters
+const COSMETIC_ONLY_OPTIONS = ['elemhide', 'ehide', 'generichide', 'ghide', 'specifichide', 'shide'];
+
+// Function to convert an ABP URL pattern to a regular expression source
+function patternToRegExpSource(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '^') {
+      // Separator: anything but a letter, digit or one of _-.% , or the end of the address
+      source += '(?:[^\\w\\-.%]|$)';
+    } else if (char === '|') {
+      if (i === 0) {
+        source += '^';
+      } else if (i === pattern.length - 1) {
+        source += '$';
+      } else {
+        source += '\\|';
+      }
+    } else {
+      source += char.replace(/[.+?${}()[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+// Function to parse one network rule line, returning null for comments, cosmetic rules and unsupported rules
+function parseNetworkFilter(line) {
+  const text = line.trim();
+
+  if (!text || text.startsWith('!') || text.startsWith('[Adblock')) {
+    return null;
+  }
+
+  // Cosmetic rules are handled by parseCosmeticFilters
+  if (/#[@?$]?#|#@[?$]#|#%#/.test(text)) {
+    return null;
+  }
+
+  const exception = text.startsWith('@@');
+  let pattern = exception ? text.substring(2) : text;
+  let optionsText = '';
+
+  // Regular expression rules: /regex/ or /regex/$options
+  const regexRule = pattern.match(/^\/(.+)\/(?:\$([^/]+))?$/);
+  if (regexRule) {
+    pattern = null;
+    optionsText = regexRule[2] || '';
+  } else {
+    const optionsIndex = pattern.lastIndexOf('$');
+    if (optionsIndex !== -1 && /^[\w~,=\-|.*]+$/.test(pattern.substring(optionsIndex + 1))) {
+      optionsText = pattern.substring(optionsIndex + 1);
+      pattern = pattern.substring(0, optionsIndex);
+    }
+  }
+
+  const rule = {
+    text,
+    exception,
+    hostAnchor: null,
+    pattern: null,
+    regexSource: null,
+    matchCase: false,
+    types: 0,
+    excludedTypes: 0,
+    thirdParty: null,
+    domains: null
+  };
+
+  if (optionsText) {
+    for (const rawOption of optionsText.toLowerCase().split(',')) {
+      const option = rawOption.trim();
+      const negated = option.startsWith('~');
+      const name = negated ? option.substring(1) : option;
+
+      if (NETWORK_MODIFIER_OPTIONS.includes(name.split('=')[0])) {
+        return null;
+      }
+
+      if (COSMETIC_ONLY_OPTIONS.includes(name)) {
+        // A rule such as "@@||site^$elemhide" does not say anything about URLs
+        if (optionsText.split(',').every(item => COSMETIC_ONLY_OPTIONS.includes(item.trim().toLowerCase()))) {
+          return null;
+        }
+        continue;
+      }
+
+      if (name === 'third-party' || name === '3p') {
+        rule.thirdParty = !negated;
+      } else if (name === 'first-party' || name === '1p') {
+        rule.thirdParty = negated;
+      } else if (name === 'match-case') {
+        rule.matchCase = true;
+      } else if (name.startsWith('domain=')) {
+        rule.domains = name.substring('domain='.length).replace(/\|/g, ',');
+      } else if (name === 'important' || name === 'badfilter' || name === 'all') {
+        if (name === 'badfilter') return null;
+      } else if (NETWORK_TYPE_OPTIONS[name]) {
+        if (negated) {
+          rule.excludedTypes |= NETWORK_TYPE_OPTIONS[name];
+        } else {
+          rule.types |= NETWORK_TYPE_OPTIONS[name];
+        }
+      }
+      // Unknown options are ignored rather than making the rule match more than intended
+    }
+  }
+
+  if (!rule.types) {
+    rule.types = NETWORK_TYPE_DEFAULT & ~rule.excludedTypes;
+  }
+
+  if (regexRule) {
+    rule.regexSource = regexRule[1];
+    return rule;
+  }
+
+  // Host anchored rules (||host^...) are indexed by host
+  const hostMatch = pattern.match(/^\|\|([a-z0-9.-]+)(.*)$/i);
+  if (hostMatch && hostMatch[1].indexOf('.') !== -1) {
+    rule.hostAnchor = hostMatch[1].toLowerCase().replace(/\.$/, '');
+    const remainder = hostMatch[2];
+    // "||host^" and "||host/" need no regular expression beyond the host check
+    if (remainder && remainder !== '^' && remainder !== '/' && remainder !== '^*') {
+      rule.pattern = remainder;
+      rule.regexSource = '^[\\w-]+:\\/+(?:[^\\/]+\\.)?' + patternToRegExpSource(rule.hostAnchor + remainder);
+    }
+    return rule;
+  }
+
+  // Rules matching every URL would overlay everything, skip them
+  if (!pattern || pattern === '*' || pattern === '|' || pattern === '||') {
+    return null;
+  }
+
+  rule.pattern = pattern;
+  rule.regexSource = pattern.startsWith('||')
+    ? '^[\\w-]+:\\/+(?:[^\\/]+\\.)?' + patternToRegExpSource(pattern.substring(2))
+    : patternToRegExpSource(pattern);
+
+  return rule;
+}
+
+// Function to compile all network rules of a list
+function compileNetworkFilters(filterText, listId) {
+  const rules = [];
+
+  for (const line of filterText.split('\n')) {
+    const rule = parseNetworkFilter(line);
+    if (rule) {
+      rule.listId = listId || null;
+      rules.push(rule);
+    }
+  }
+
+  return rules;
+}
+
+// Function to pick the token used to index a rule that is not host anchored: the longest run of letters/digits
+// bounded by a separator on both sides. URL tokens are whole runs, so a run next to a wildcard or at the unanchored
+// start or end of the pattern could be part of a longer URL token and is never used.
+function getNetworkFilterToken(rule) {
+  if (!rule.pattern) {
+    return null;
+  }
+
+  const pattern = rule.pattern.toLowerCase();
+  let best = null;
+
+  for (const match of pattern.matchAll(/[a-z0-9%]{3,}/g)) {
+    const candidate = match[0];
+    const before = pattern[match.index - 1];
+    const after = pattern[match.index + candidate.length];
+    if (before === undefined || before === '*' || after === undefined || after === '*') {
+      continue;
+    }
+    if (!best || candidate.length > best.length) {
+      best = candidate;
+    }
+  }
+
+  return best;
+}
+
+// Function to build an indexed matcher from compiled rules
+function createNetworkMatcher(rules) {
+  const index = {
+    blocking: { hosts: new Map(), tokens: new Map(), other: [] },
+    exceptions: { hosts: new Map(), tokens: new Map(), other: [] }
+  };
+
+  const addToBucket = (bucket, key, rule) => {
+    if (!bucket.has(key)) {
+      bucket.set(key, []);
+    }
+    bucket.get(key).push(rule);
+  };
+
+  rules.forEach(rule => {
+    const target = rule.exception ? index.exceptions : index.blocking;
+
+    if (rule.hostAnchor) {
+      addToBucket(target.hosts, rule.hostAnchor, rule);
+      return;
+    }
+
+    const token = getNetworkFilterToken(rule);
+    if (token) {
+      addToBucket(target.tokens, token, rule);
+    } else {
+      target.other.push(rule);
+    }
+  });
+
+  // Function to test a single rule against a request
+  const ruleMatches = (rule, request) => {
+    if (!(rule.types & request.typeMask)) {
+      return false;
+    }
+
+    if (rule.thirdParty !== null && rule.thirdParty !== request.thirdParty) {
+      return false;
+    }
+
+    if (rule.domains && !ruleAppliesToHostname(rule.domains, request.pageHostname)) {
+      return false;
+    }
+
+    if (rule.regexSource) {
+      if (!rule._regex) {
+        try {
+          rule._regex = new RegExp(rule.regexSource, rule.matchCase ? '' : 'i');
+        } catch (e) {
+          rule._regex = /(?!)/; // Invalid expression never matches
+        }
+      }
+      return rule._regex.test(request.url);
+    }
+
+    return true;
+  };
+
+  // Function to find the first rule in an index that matches a request
+  const findMatch = (target, request) => {
+    // Host anchored rules: walk up the labels of the request hostname
+    const labels = request.hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidates = target.hosts.get(labels.slice(i).join('.'));
+      if (candidates) {
+        const match = candidates.find(rule => ruleMatches(rule, request));
+        if (match) return match;
+      }
+    }
+
+    // Token indexed rules: only rules whose token appears in the URL can match
+    const urlTokens = new Set(request.url.toLowerCase().match(/[a-z0-9%]{3,}/g) || []);
+    for (const token of urlTokens) {
+      const candidates = target.tokens.get(token);
+      if (candidates) {
+        const match = candidates.find(rule => ruleMatches(rule, request));
+        if (match) return match;
+      }
+    }
+
+    return target.other.find(rule => ruleMatches(rule, request)) || null;
+  };
+
+  return {
+    size: rules.length,
+
+    // Function returning the blocking rule matching a URL, or null when none matches or an exception applies
+    match(url, type, pageHostname) {
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(url);
+      } catch (e) {
+        return null;
+      }
+
+      if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        return null;
+      }
+
+      const hostname = parsedUrl.hostname.toLowerCase();
+      const request = {
+        url: parsedUrl.href,
+        hostname,
+        typeMask: NETWORK_REQUEST_TYPES[type] || NETWORK_TYPE_OTHER,
+        pageHostname: pageHostname || '',
+        thirdParty: getBaseDomain(hostname) !== getBaseDomain(pageHostname || '')
+      };
+
+      // Untyped rules should classify links too (see NETWORK_REQUEST_TYPES)
+      if (type === 'link') {
+        request.typeMask |= NETWORK_TYPE_DEFAULT;
+      }
+
+      const blockingRule = findMatch(index.blocking, request);
+      if (!blockingRule) {
+        return null;
+      }
+
+      if (findMatch(index.exceptions, request)) {
+        return null;
+      }
+
+      return blockingRule;
+    },
+
+    // Function to check whether an "@@...$document" exception turns off network filtering for a page
+    isPageAllowlisted(pageHostname) {
+      for (const [host, candidates] of index.exceptions.hosts) {
+        if (hostnameMatchesDomain(normalizeHostname(pageHostname), host) &&
+            candidates.some(rule => rule.types & NETWORK_TYPE_DOCUMENT && !rule.pattern)) {
+          return true;
+        }
+      }
+      return false;
+    }
+  };
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NETWORK_REQUEST_TYPES,
+    patternToRegExpSource,
+    parseNetworkFilter,
+    compileNetworkFilters,
+    createNetworkMatcher
+  };
+}
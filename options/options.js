@@ -0,0 +1,978 @@
+// Options page script to manage where protection runs, the tunable settings, filter list subscriptions,
+// the user's own rules, import or export of all of them, the queue of problem reports and the log of opened ads
+document.addEventListener('DOMContentLoaded', () => {
+  const filterListsBody = document.getElementById('filterListsBody');
+  const filterListsStatus = document.getElementById('filterListsStatus');
+  const updateListsBtn = document.getElementById('updateListsBtn');
+  const addListForm = document.getElementById('addListForm');
+  const addListUrl = document.getElementById('addListUrl');
+  const addListTitle = document.getElementById('addListTitle');
+  const customRules = document.getElementById('customRules');
+  const rulesGutter = document.getElementById('rulesGutter');
+  const rulesErrors = document.getElementById('rulesErrors');
+  const customRulesStatus = document.getElementById('customRulesStatus');
+  const saveRulesBtn = document.getElementById('saveRulesBtn');
+  const managedRules = document.getElementById('managedRules');
+  const managedRulesNote = document.getElementById('managedRulesNote');
+  const managedRulesText = document.getElementById('managedRulesText');
+  const defaultEnabled = document.getElementById('defaultEnabled');
+  const enabledSitesInput = document.getElementById('enabledSites');
+  const disabledSitesInput = document.getElementById('disabledSites');
+  const siteOverlayModesInput = document.getElementById('siteOverlayModes');
+  const managedOverlayModeNote = document.getElementById('managedOverlayModeNote');
+  const defaultManagedNote = document.getElementById('defaultManagedNote');
+  const managedEnabledSites = document.getElementById('managedEnabledSites');
+  const managedDisabledSites = document.getElementById('managedDisabledSites');
+  const saveSitesBtn = document.getElementById('saveSitesBtn');
+  const sitesStatus = document.getElementById('sitesStatus');
+  const settingsFields = document.getElementById('settingsFields');
+  const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+  const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+  const settingsStatus = document.getElementById('settingsStatus');
+  const exportBtn = document.getElementById('exportBtn');
+  const importFile = document.getElementById('importFile');
+  const importPreview = document.getElementById('importPreview');
+  const importChanges = document.getElementById('importChanges');
+  const applyImportBtn = document.getElementById('applyImportBtn');
+  const cancelImportBtn = document.getElementById('cancelImportBtn');
+  const transferStatus = document.getElementById('transferStatus');
+  const reportsBody = document.getElementById('reportsBody');
+  const reportsStatus = document.getElementById('reportsStatus');
+  const exportReportsBtn = document.getElementById('exportReportsBtn');
+  const clearReportsBtn = document.getElementById('clearReportsBtn');
+  const openedAdsBody = document.getElementById('openedAdsBody');
+  const openedAdsStatus = document.getElementById('openedAdsStatus');
+  const clearOpenedAdsBtn = document.getElementById('clearOpenedAdsBtn');
+  const shortcutsBody = document.getElementById('shortcutsBody');
+  const editShortcutsBtn = document.getElementById('editShortcutsBtn');
+
+  // Headings for the groups of SETTINGS_SCHEMA
+  const SETTINGS_GROUP_TITLES = {
+    appearance: 'Overlays and colors',
+    countdown: 'Countdowns',
+    detection: 'Ad scores',
+    interaction: 'Clicks on covered ads'
+  };
+
+  // Shown next to every control that enterprise policy locks
+  const MANAGED_NOTE = 'Managed by your organization';
+
+  // Setting inputs keyed by "group.name"
+  const settingInputs = new Map();
+
+  // The user's own settings and those locked by policy; locked inputs show the policy's value
+  // but saving keeps the user's own
+  let userSettings = getDefaultSettings();
+  let managedSettings = {};
+
+  // Parsed export file waiting for the user to confirm the import
+  let pendingImport = null;
+
+  // Detached fragment used to let the browser check CSS selector syntax
+  const selectorCheckFragment = document.createDocumentFragment();
+  let validationTimer = null;
+
+  // Function to send a filter list message to the background and re-render with the returned lists
+  function sendFilterListMessage(message, successText) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        showStatus(chrome.runtime.lastError.message, true);
+        return;
+      }
+      if (!response || response.error) {
+        showStatus(response ? response.error : 'No response from background', true);
+        loadFilterLists();
+        return;
+      }
+      renderFilterLists(response.lists);
+      if (successText) showStatus(successText, false);
+    });
+  }
+
+  function loadFilterLists() {
+    chrome.runtime.sendMessage({ action: 'getFilterLists' }, (response) => {
+      if (chrome.runtime.lastError) {
+        showStatus(chrome.runtime.lastError.message, true);
+      } else if (response && response.lists) {
+        renderFilterLists(response.lists);
+      }
+    });
+  }
+
+  function renderFilterLists(lists) {
+    filterListsBody.textContent = '';
+
+    if (!lists || lists.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.className = 'empty';
+      cell.textContent = 'No filter lists';
+      row.appendChild(cell);
+      filterListsBody.appendChild(row);
+      return;
+    }
+
+    lists.forEach(list => {
+      const row = document.createElement('tr');
+
+      // Enabled checkbox
+      const enabledCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = list.enabled;
+      checkbox.addEventListener('change', () => {
+        showStatus(checkbox.checked ? 'Enabling ' + list.title + '...' : '', false);
+        sendFilterListMessage({ action: 'setFilterListEnabled', id: list.id, enabled: checkbox.checked },
+          checkbox.checked ? list.title + ' enabled' : list.title + ' disabled');
+      });
+      enabledCell.appendChild(checkbox);
+      row.appendChild(enabledCell);
+
+      // Title, URL and last error
+      const titleCell = document.createElement('td');
+      const title = document.createElement('div');
+      title.className = 'list-title';
+      title.textContent = list.title;
+      titleCell.appendChild(title);
+
+      const url = document.createElement('div');
+      url.className = 'list-url';
+      url.textContent = list.url || 'Bundled with the extension';
+      if (list.version) url.textContent += ' (version ' + list.version + ')';
+      titleCell.appendChild(url);
+
+      if (list.error) {
+        const error = document.createElement('div');
+        error.className = 'list-error';
+        error.textContent = 'Last update failed: ' + list.error;
+        titleCell.appendChild(error);
+      }
+      row.appendChild(titleCell);
+
+      // Rule count
+      const rulesCell = document.createElement('td');
+      rulesCell.textContent = list.ruleCount ? list.ruleCount.toLocaleString() : '-';
+      row.appendChild(rulesCell);
+
+      // Last updated time
+      const updatedCell = document.createElement('td');
+      if (list.updating) {
+        updatedCell.textContent = 'Updating...';
+      } else if (list.source === 'bundled') {
+        updatedCell.textContent = 'Bundled';
+      } else if (list.lastUpdated) {
+        updatedCell.textContent = new Date(list.lastUpdated).toLocaleString();
+      } else {
+        updatedCell.textContent = 'Never';
+      }
+      row.appendChild(updatedCell);
+
+      // Remove button, user-added lists only
+      const actionsCell = document.createElement('td');
+      if (!list.builtIn) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+          sendFilterListMessage({ action: 'removeFilterList', id: list.id }, list.title + ' removed');
+        });
+        actionsCell.appendChild(removeBtn);
+      }
+      row.appendChild(actionsCell);
+
+      filterListsBody.appendChild(row);
+    });
+  }
+
+  function showStatus(text, isError) {
+    filterListsStatus.textContent = text;
+    filterListsStatus.className = 'status-message ' + (isError ? 'error' : 'success');
+  }
+
+  updateListsBtn.addEventListener('click', () => {
+    showStatus('Updating filter lists...', false);
+    sendFilterListMessage({ action: 'updateFilterLists' }, 'Filter lists updated');
+  });
+
+  addListForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    let origin;
+    try {
+      origin = new URL(addListUrl.value).origin;
+    } catch (error) {
+      showStatus('Invalid filter list URL', true);
+      return;
+    }
+
+    // Lists can be hosted anywhere, ask for access to that host before subscribing
+    chrome.permissions.request({ origins: [origin + '/*'] }, (granted) => {
+      if (!granted) {
+        showStatus('Permission to download from ' + origin + ' was denied', true);
+        return;
+      }
+
+      showStatus('Downloading filter list...', false);
+      sendFilterListMessage({
+        action: 'addFilterList',
+        url: addListUrl.value,
+        title: addListTitle.value
+      }, 'Filter list added');
+
+      addListUrl.value = '';
+      addListTitle.value = '';
+    });
+  });
+
+  // Function to check one line of the user's rules, returning what is wrong with it or null when it is usable
+  function getRuleLineError(line) {
+    const text = line.trim();
+    if (!text || text.startsWith('!')) {
+      return null;
+    }
+
+    const rule = splitCosmeticRule(text);
+    if (rule) {
+      if (rule.domains) {
+        const invalidDomain = rule.domains.split(',').find(domain => !isValidRuleDomain(domain));
+        if (invalidDomain !== undefined) {
+          return 'Invalid domain "' + invalidDomain.trim() + '"';
+        }
+      }
+      if (!rule.selector) {
+        return 'Missing selector after ' + rule.separator;
+      }
+      // "#?#" also accepts plain CSS, which is checked like any other selector
+      if (isProceduralSelector(rule.selector)) {
+        return parseProceduralSelector(rule.selector) ? null : 'Unsupported or malformed extended selector';
+      }
+      try {
+        selectorCheckFragment.querySelector(rule.selector);
+      } catch (e) {
+        return 'Invalid CSS selector';
+      }
+      return null;
+    }
+
+    if (/#@?[$%]#|\$\$/.test(text)) {
+      return 'Snippet, CSS injection and HTML filtering rules are not supported';
+    }
+
+    // Exceptions that only switch off cosmetic filtering, e.g. "@@||example.com^$elemhide"
+    const optionsIndex = text.lastIndexOf('$');
+    if (text.startsWith('@@') && optionsIndex !== -1 && text.substring(optionsIndex + 1).split(',')
+      .some(option => COSMETIC_ONLY_OPTIONS.includes(option.trim().toLowerCase()))) {
+      return null;
+    }
+
+    const networkRule = parseNetworkFilter(text);
+    if (!networkRule) {
+      return 'Not a supported rule (options such as $redirect or $csp, or a rule matching every URL)';
+    }
+    if (networkRule.regexSource) {
+      try {
+        new RegExp(networkRule.regexSource);
+      } catch (e) {
+        return 'Invalid regular expression';
+      }
+    }
+    return null;
+  }
+
+  // Function to check every line and show the errors next to the line numbers and below the editor
+  function validateCustomRules() {
+    const lines = customRules.value.split('\n');
+    const errors = [];
+
+    rulesGutter.textContent = '';
+    rulesErrors.textContent = '';
+
+    lines.forEach((line, index) => {
+      const error = getRuleLineError(line);
+      const number = document.createElement('div');
+      number.textContent = index + 1;
+      if (error) {
+        number.className = 'invalid';
+        number.title = error;
+        errors.push({ index, line, error });
+      }
+      rulesGutter.appendChild(number);
+    });
+    rulesGutter.scrollTop = customRules.scrollTop;
+
+    errors.forEach(({ index, line, error }) => {
+      const item = document.createElement('li');
+      item.textContent = 'Line ' + (index + 1) + ': ' + error + ' ';
+      const code = document.createElement('code');
+      code.textContent = line.trim();
+      item.appendChild(code);
+
+      // Jump to the offending line
+      item.addEventListener('click', () => {
+        const start = lines.slice(0, index).reduce((length, previous) => length + previous.length + 1, 0);
+        customRules.focus();
+        customRules.setSelectionRange(start, start + line.length);
+      });
+      rulesErrors.appendChild(item);
+    });
+
+    saveRulesBtn.disabled = errors.length > 0;
+    return errors.length === 0;
+  }
+
+  function loadCustomRules() {
+    chrome.runtime.sendMessage({ action: 'getCustomFilters' }, (response) => {
+      if (chrome.runtime.lastError) {
+        showRulesStatus(chrome.runtime.lastError.message, true);
+      } else if (response && response.rules) {
+        customRules.value = response.rules.text;
+        validateCustomRules();
+        renderManagedRules(response.rules.managed);
+      }
+    });
+  }
+
+  // Function to show the rules set by policy above the user's own, read-only
+  function renderManagedRules(managed) {
+    managedRules.hidden = !managed || !managed.text;
+    if (managedRules.hidden) return;
+
+    managedRulesNote.textContent = MANAGED_NOTE + ': ' + managed.ruleCount + (managed.ruleCount === 1 ? ' rule' : ' rules') +
+      ' applied on top of yours';
+    managedRulesText.textContent = managed.text;
+  }
+
+  function showRulesStatus(text, isError) {
+    customRulesStatus.textContent = text;
+    customRulesStatus.className = 'status-message ' + (isError ? 'error' : 'success');
+  }
+
+  customRules.addEventListener('input', () => {
+    showRulesStatus('', false);
+    clearTimeout(validationTimer);
+    validationTimer = setTimeout(validateCustomRules, 200);
+  });
+
+  customRules.addEventListener('scroll', () => {
+    rulesGutter.scrollTop = customRules.scrollTop;
+  });
+
+  saveRulesBtn.addEventListener('click', () => {
+    clearTimeout(validationTimer);
+    if (!validateCustomRules()) {
+      showRulesStatus('Fix the highlighted lines before saving', true);
+      return;
+    }
+
+    chrome.runtime.sendMessage({ action: 'setCustomFilters', text: customRules.value }, (response) => {
+      if (chrome.runtime.lastError) {
+        showRulesStatus(chrome.runtime.lastError.message, true);
+      } else if (!response || response.error) {
+        showRulesStatus(response ? response.error : 'No response from background', true);
+      } else {
+        showRulesStatus('Saved ' + response.rules.ruleCount + ' rules, open tabs are being updated', false);
+      }
+    });
+  });
+
+  function loadSiteSettings() {
+    chrome.runtime.sendMessage({ action: 'getSiteSettings' }, (response) => {
+      if (chrome.runtime.lastError) {
+        showSitesStatus(chrome.runtime.lastError.message, true);
+      } else if (response) {
+        renderSiteSettings(response);
+      }
+    });
+  }
+
+  function renderSiteSettings(settings) {
+    const managed = settings.managed;
+    const defaultManaged = managed.defaultEnabled !== null;
+
+    defaultEnabled.checked = settings.defaultEnabled;
+    defaultEnabled.disabled = defaultManaged;
+    defaultManagedNote.hidden = !defaultManaged;
+    enabledSitesInput.value = settings.enabledSites.join('\n');
+    disabledSitesInput.value = settings.disabledSites.join('\n');
+    siteOverlayModesInput.value = formatSiteOverlayModes(settings.siteOverlayModes).join('\n');
+
+    // The user's lists are kept, but only used again once the policy no longer sets the default
+    enabledSitesInput.disabled = defaultManaged;
+    disabledSitesInput.disabled = defaultManaged;
+    siteOverlayModesInput.disabled = managed.overlayMode;
+    managedOverlayModeNote.hidden = !managed.overlayMode;
+    saveSitesBtn.disabled = defaultManaged && managed.overlayMode;
+
+    [[managedEnabledSites, managed.enabledSites], [managedDisabledSites, managed.disabledSites]].forEach(([note, patterns]) => {
+      note.hidden = patterns.length === 0;
+      note.textContent = MANAGED_NOTE + ': ' + patterns.join(', ');
+    });
+  }
+
+  // Function to add the tabs that missed the change to a status message
+  function describeNeedsReload(text, needsReload) {
+    const count = (needsReload || []).length;
+    if (count === 0) return text;
+    return text + ' (' + count + (count === 1 ? ' open tab needs' : ' open tabs need') + ' a reload)';
+  }
+
+  function showSitesStatus(text, isError) {
+    sitesStatus.textContent = text;
+    sitesStatus.className = 'status-message ' + (isError ? 'error' : 'success');
+  }
+
+  defaultEnabled.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'toggleExtension', enabled: defaultEnabled.checked }, (response) => {
+      if (chrome.runtime.lastError) {
+        showSitesStatus(chrome.runtime.lastError.message, true);
+      } else if (response && response.error) {
+        showSitesStatus(response.error, true);
+        loadSiteSettings();
+      } else {
+        const text = defaultEnabled.checked ? 'Protection runs on all other sites' : 'Protection is off on all other sites';
+        showSitesStatus(describeNeedsReload(text, response && response.needsReload), false);
+      }
+    });
+  });
+
+  saveSitesBtn.addEventListener('click', () => {
+    const enabled = sanitizeSitePatterns(enabledSitesInput.value.split('\n'));
+    const disabled = sanitizeSitePatterns(disabledSitesInput.value.split('\n'));
+    const invalid = enabled.invalid.concat(disabled.invalid);
+    const overlayModeLines = siteOverlayModesInput.value.split('\n');
+    const overlayModes = parseSiteOverlayModes(overlayModeLines, SETTINGS_SCHEMA.appearance.overlayMode.values);
+
+    if (invalid.length > 0) {
+      showSitesStatus('Not a hostname or wildcard pattern: ' + invalid.join(', '), true);
+      return;
+    }
+    if (overlayModes.invalid.length > 0) {
+      showSitesStatus('Not a site followed by block, dim, outline, blur or collapse: ' + overlayModes.invalid.join(', '), true);
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'setSiteSettings',
+      enabledSites: enabled.patterns,
+      disabledSites: disabled.patterns,
+      siteOverlayModes: overlayModeLines
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        showSitesStatus(chrome.runtime.lastError.message, true);
+      } else if (!response || response.error) {
+        showSitesStatus(response ? response.error : 'No response from background', true);
+      } else {
+        renderSiteSettings(response);
+        showSitesStatus(describeNeedsReload('Site lists saved', response.needsReload), false);
+      }
+    });
+  });
+
+  // Function to build one input per setting from the schema, grouped like the stored object
+  function buildSettingsForm() {
+    Object.keys(SETTINGS_SCHEMA).forEach(group => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'settings-group';
+      const legend = document.createElement('legend');
+      legend.textContent = SETTINGS_GROUP_TITLES[group] || group;
+      fieldset.appendChild(legend);
+
+      Object.keys(SETTINGS_SCHEMA[group]).forEach(key => {
+        const field = SETTINGS_SCHEMA[group][key];
+        const label = document.createElement('label');
+        label.className = 'setting';
+        const text = document.createElement('span');
+        text.textContent = field.label;
+        const note = document.createElement('span');
+        note.className = 'managed-note';
+        note.textContent = MANAGED_NOTE;
+        note.hidden = true;
+        text.appendChild(note);
+
+        let input;
+        if (field.type === 'enum') {
+          input = document.createElement('select');
+          field.values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = field.valueLabels ? field.valueLabels[value] : value;
+            input.appendChild(option);
+          });
+        } else {
+          input = document.createElement('input');
+          input.type = field.type === 'color' ? 'color' : 'number';
+          if (field.type === 'number') {
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step || 1;
+          }
+        }
+        input.addEventListener('input', () => input.classList.remove('invalid'));
+
+        settingInputs.set(group + '.' + key, input);
+        label.appendChild(text);
+        label.appendChild(input);
+        fieldset.appendChild(label);
+      });
+
+      settingsFields.appendChild(fieldset);
+    });
+  }
+
+  // Function to show the settings in effect and lock the inputs the policy sets
+  function renderSettings() {
+    const settings = applyManagedSettings(userSettings, managedSettings);
+    settingInputs.forEach((input, path) => {
+      const [group, key] = path.split('.');
+      const managed = isSettingManaged(managedSettings, group, key);
+      input.value = settings[group][key];
+      input.disabled = managed;
+      input.parentNode.querySelector('.managed-note').hidden = !managed;
+      input.classList.remove('invalid');
+    });
+  }
+
+  function loadSettingsForm() {
+    Promise.all([loadUserSettings(), loadManagedSettings()]).then(([settings, managed]) => {
+      userSettings = settings;
+      managedSettings = managed;
+      renderSettings();
+    });
+  }
+
+  // Function to read the form back into a settings object; empty number fields become NaN and fail validation.
+  // Locked settings keep the user's own value.
+  function readSettingsForm() {
+    const values = { version: SETTINGS_VERSION };
+    settingInputs.forEach((input, path) => {
+      const [group, key] = path.split('.');
+      values[group] = values[group] || {};
+      if (isSettingManaged(managedSettings, group, key)) {
+        values[group][key] = userSettings[group][key];
+        return;
+      }
+      values[group][key] = SETTINGS_SCHEMA[group][key].type === 'number'
+        ? (input.value.trim() === '' ? NaN : Number(input.value))
+        : input.value;
+    });
+    return values;
+  }
+
+  function showSettingsStatus(text, isError) {
+    settingsStatus.textContent = text;
+    settingsStatus.className = 'status-message ' + (isError ? 'error' : 'success');
+  }
+
+  // Function to validate and store the settings, marking the inputs that fail validation
+  function storeSettings(values, successText) {
+    const { errors } = validateSettings(values);
+    settingInputs.forEach((input, path) => {
+      input.classList.toggle('invalid', errors.some(error => error.key === path));
+    });
+
+    if (errors.length > 0) {
+      showSettingsStatus(errors.map(error => error.message).join('. '), true);
+      return;
+    }
+
+    saveSettings(values)
+      .then(settings => {
+        userSettings = settings;
+        renderSettings();
+        showSettingsStatus(successText, false);
+      })
+      .catch(error => showSettingsStatus(error.message, true));
+  }
+
+  saveSettingsBtn.addEventListener('click', () => {
+    storeSettings(readSettingsForm(), 'Settings saved, open tabs use them right away');
+  });
+
+  resetSettingsBtn.addEventListener('click', () => {
+    storeSettings(getDefaultSettings(), 'Default settings restored');
+  });
+
+  function showTransferStatus(text, isError) {
+    transferStatus.textContent = text;
+    transferStatus.className = 'status-message ' + (isError ? 'error' : 'success');
+  }
+
+  function getImportMode() {
+    return document.querySelector('input[name="importMode"]:checked').value;
+  }
+
+  // Function to list an import's changes under their section
+  function renderImportChanges(changes) {
+    importChanges.textContent = '';
+
+    if (changes.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'Nothing would change';
+      importChanges.appendChild(item);
+      return;
+    }
+
+    let section = null;
+    changes.forEach(change => {
+      if (change.section !== section) {
+        section = change.section;
+        const heading = document.createElement('li');
+        heading.className = 'change-section';
+        heading.textContent = section;
+        importChanges.appendChild(heading);
+      }
+
+      const item = document.createElement('li');
+      item.className = 'change-' + change.change;
+      if (change.change === 'added') {
+        item.textContent = '+ ' + change.item + (change.to ? ' (' + change.to + ')' : '');
+      } else if (change.change === 'removed') {
+        item.textContent = '\u2212 ' + change.item;
+      } else {
+        item.textContent = change.item + ': ' + change.from + ' \u2192 ' + change.to;
+      }
+      importChanges.appendChild(item);
+    });
+  }
+
+  function clearPendingImport() {
+    pendingImport = null;
+    importFile.value = '';
+    importPreview.hidden = true;
+  }
+
+  // Function to ask the background what the pending import would change with the chosen mode
+  function previewImport() {
+    if (!pendingImport) return;
+
+    chrome.runtime.sendMessage({ action: 'previewSettingsImport', exported: pendingImport, mode: getImportMode() }, (response) => {
+      if (chrome.runtime.lastError) {
+        showTransferStatus(chrome.runtime.lastError.message, true);
+      } else if (!response || response.error) {
+        importPreview.hidden = true;
+        showTransferStatus(response ? response.error : 'No response from background', true);
+      } else {
+        renderImportChanges(response.changes);
+        importPreview.hidden = false;
+        applyImportBtn.disabled = response.changes.length === 0;
+        showTransferStatus('Check the changes below, then apply the import', false);
+      }
+    });
+  }
+
+  exportBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'exportSettings' }, (response) => {
+      if (chrome.runtime.lastError) {
+        showTransferStatus(chrome.runtime.lastError.message, true);
+        return;
+      }
+      if (!response || response.error) {
+        showTransferStatus(response ? response.error : 'No response from background', true);
+        return;
+      }
+
+      const blob = new Blob([JSON.stringify(response.exported, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'ad-click-guard-settings-' + response.exported.exportedAt.substring(0, 10) + '.json';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      showTransferStatus('Settings exported', false);
+    });
+  });
+
+  importFile.addEventListener('change', () => {
+    const file = importFile.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+      try {
+        pendingImport = JSON.parse(text);
+      } catch (e) {
+        clearPendingImport();
+        showTransferStatus('The file is not valid JSON: ' + e.message, true);
+        return;
+      }
+      previewImport();
+    });
+  });
+
+  document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', previewImport);
+  });
+
+  cancelImportBtn.addEventListener('click', () => {
+    clearPendingImport();
+    showTransferStatus('Import cancelled', false);
+  });
+
+  applyImportBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'importSettings', exported: pendingImport, mode: getImportMode() }, (response) => {
+      if (chrome.runtime.lastError) {
+        showTransferStatus(chrome.runtime.lastError.message, true);
+        return;
+      }
+      if (!response || response.error) {
+        showTransferStatus(response ? response.error : 'No response from background', true);
+        return;
+      }
+
+      clearPendingImport();
+      const count = response.changes.length;
+      showTransferStatus(describeNeedsReload('Imported ' + count + (count === 1 ? ' change' : ' changes'), response.needsReload), false);
+
+      // Show the imported configuration in every section
+      loadSettingsForm();
+      loadSiteSettings();
+      loadFilterLists();
+      loadCustomRules();
+    });
+  });
+
+  function showReportsStatus(text, isError) {
+    reportsStatus.textContent = text;
+    reportsStatus.className = 'status-message ' + (isError ? 'error' : 'success');
+  }
+
+  // Function to describe why a reported element was covered, in one line
+  function describeReportReason(reason) {
+    if (!reason) {
+      return 'Not covered';
+    }
+    if (reason.filter) {
+      return reason.filter + (reason.listTitle ? ' (' + reason.listTitle + ')' : '');
+    }
+    return reason.selector || ('Heuristics, score ' + reason.score);
+  }
+
+  // Function to list the queued reports, newest first
+  function renderReports(reports) {
+    reportsBody.textContent = '';
+    exportReportsBtn.disabled = clearReportsBtn.disabled = reports.length === 0;
+
+    if (reports.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.className = 'empty';
+      cell.textContent = 'No reports';
+      row.appendChild(cell);
+      reportsBody.appendChild(row);
+      return;
+    }
+
+    reports.slice().reverse().forEach(report => {
+      const row = document.createElement('tr');
+
+      const dateCell = document.createElement('td');
+      dateCell.textContent = new Date(report.createdAt).toLocaleString();
+      row.appendChild(dateCell);
+
+      const problemCell = document.createElement('td');
+      const kind = document.createElement('div');
+      kind.className = 'list-title';
+      kind.textContent = PROBLEM_REPORT_KINDS[report.kind] || report.kind;
+      const reason = document.createElement('div');
+      reason.className = 'list-url';
+      reason.textContent = describeReportReason(report.reason);
+      problemCell.append(kind, reason);
+      row.appendChild(problemCell);
+
+      // Page address and element, with the snippet folded away
+      const pageCell = document.createElement('td');
+      const url = document.createElement('div');
+      url.className = 'list-url';
+      url.textContent = report.url;
+      const element = document.createElement('details');
+      element.className = 'report-snippet';
+      const summary = document.createElement('summary');
+      summary.textContent = report.selector || (report.element ? report.element.tag : 'Element');
+      if (report.element) summary.textContent += ' ' + report.element.width + '×' + report.element.height;
+      const snippet = document.createElement('pre');
+      snippet.textContent = report.snippet;
+      element.append(summary, snippet);
+      pageCell.append(url, element);
+      row.appendChild(pageCell);
+
+      const actionsCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        sendReportsMessage({ action: 'removeProblemReport', id: report.id }, 'Report removed');
+      });
+      actionsCell.appendChild(removeBtn);
+      row.appendChild(actionsCell);
+
+      reportsBody.appendChild(row);
+    });
+  }
+
+  // Function to send a queue change to the background and show the queue it leaves
+  function sendReportsMessage(message, successText) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        showReportsStatus(chrome.runtime.lastError.message, true);
+      } else if (!response || response.error) {
+        showReportsStatus(response ? response.error : 'No response from background', true);
+      } else {
+        renderReports(response.reports);
+        if (successText) showReportsStatus(successText, false);
+      }
+    });
+  }
+
+  function loadReports() {
+    sendReportsMessage({ action: 'getProblemReports' }, null);
+  }
+
+  exportReportsBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'exportProblemReports' }, (response) => {
+      if (chrome.runtime.lastError) {
+        showReportsStatus(chrome.runtime.lastError.message, true);
+        return;
+      }
+      if (!response || response.error) {
+        showReportsStatus(response ? response.error : 'No response from background', true);
+        return;
+      }
+
+      const blob = new Blob([JSON.stringify(response.exported, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'ad-click-guard-reports-' + response.exported.exportedAt.substring(0, 10) + '.json';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      const count = response.exported.reports.length;
+      showReportsStatus('Exported ' + count + (count === 1 ? ' report' : ' reports'), false);
+    });
+  });
+
+  clearReportsBtn.addEventListener('click', () => {
+    if (!confirm('Delete every queued report? Export them first to keep them.')) return;
+    sendReportsMessage({ action: 'clearProblemReports' }, 'All reports deleted');
+  });
+
+  // Reports made and ads opened in other tabs while this page is open
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[PROBLEM_REPORTS_KEY]) {
+      renderReports(changes[PROBLEM_REPORTS_KEY].newValue || []);
+    }
+    if (namespace === 'local' && changes.confirmedClicks) {
+      renderOpenedAds(changes.confirmedClicks.newValue || []);
+    }
+  });
+
+  // How an ad was opened, for the log of opened ads
+  const OPENED_AD_METHODS = {
+    click: 'Clicked again',
+    hold: 'Pressed and held'
+  };
+
+  // Function to list the ads opened through their overlay, newest first
+  function renderOpenedAds(clicks) {
+    openedAdsBody.textContent = '';
+    clearOpenedAdsBtn.disabled = clicks.length === 0;
+
+    if (clicks.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.className = 'empty';
+      cell.textContent = 'No ads opened';
+      row.appendChild(cell);
+      openedAdsBody.appendChild(row);
+      return;
+    }
+
+    clicks.slice().reverse().forEach(click => {
+      const row = document.createElement('tr');
+
+      const timeCell = document.createElement('td');
+      timeCell.textContent = new Date(click.time).toLocaleString();
+
+      const pageCell = document.createElement('td');
+      pageCell.className = 'list-url';
+      pageCell.textContent = click.url;
+
+      const adCell = document.createElement('td');
+      const ad = document.createElement('div');
+      ad.className = 'list-title';
+      ad.textContent = click.network || click.target;
+      const link = document.createElement('div');
+      link.className = 'list-url';
+      link.textContent = [click.link, click.reason].filter(Boolean).join(' \u2014 ');
+      adCell.append(ad, link);
+
+      const methodCell = document.createElement('td');
+      methodCell.textContent = (OPENED_AD_METHODS[click.method] || click.method) +
+        (click.passthrough ? ', next click let through to the frame' : '');
+
+      row.append(timeCell, pageCell, adCell, methodCell);
+      openedAdsBody.appendChild(row);
+    });
+  }
+
+  function sendOpenedAdsMessage(message, successText) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        openedAdsStatus.textContent = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response ? response.error : 'No response from background');
+        openedAdsStatus.className = 'status-message error';
+        return;
+      }
+      renderOpenedAds(response.clicks);
+      if (successText) {
+        openedAdsStatus.textContent = successText;
+        openedAdsStatus.className = 'status-message success';
+      }
+    });
+  }
+
+  clearOpenedAdsBtn.addEventListener('click', () => {
+    sendOpenedAdsMessage({ action: 'clearConfirmedClicks' }, 'Log cleared');
+  });
+
+  // Function to list the keyboard commands from manifest.json with the keys the user assigned to them
+  function loadShortcuts() {
+    chrome.commands.getAll((commands) => {
+      shortcutsBody.textContent = '';
+      commands.filter(command => command.description).forEach(command => {
+        const row = document.createElement('tr');
+
+        const description = document.createElement('td');
+        description.textContent = command.description;
+
+        const keys = document.createElement('td');
+        keys.className = 'shortcut-keys';
+        keys.textContent = command.shortcut || 'Not set';
+
+        row.append(description, keys);
+        shortcutsBody.appendChild(row);
+      });
+    });
+  }
+
+  // The shortcuts page is a browser page, the options page cannot change the keys itself
+  editShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // Keys changed on the shortcuts page show up when coming back to this tab
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+      loadShortcuts();
+    }
+  });
+
+  buildSettingsForm();
+  loadSettingsForm();
+  loadSiteSettings();
+  loadFilterLists();
+  loadCustomRules();
+  loadReports();
+  sendOpenedAdsMessage({ action: 'getConfirmedClicks' }, null);
+  loadShortcuts();
+});
@@ -0,0 +1,197 @@
+// Overlay Click Confirmation Functions
+// In the 'confirm' click mode a covered ad can be opened on purpose: the first click on an overlay asks for
+// confirmation, and a second click or a press and hold within the confirmation window passes the click on to
+// the element underneath. In the default 'block' mode overlays keep blocking every click.
+// content.js applies the interaction settings and logs each confirmed click.
+
+// Classes set on the page root and on an overlay, content.css draws the prompt and the hold progress from them
+const CONFIRM_MODE_CLASS = 'ad-click-guard-confirm-mode';
+const CONFIRMING_CLASS = 'ad-click-guard-confirming';
+const HOLDING_CLASS = 'ad-click-guard-holding';
+const PASSTHROUGH_CLASS = 'ad-click-guard-passthrough';
+
+// Elements a click cannot be sent into; their overlay lets the next click through instead
+const PASSTHROUGH_TAGS = ['iframe', 'embed', 'object'];
+
+// Interaction settings in effect, see SETTINGS_SCHEMA.interaction
+let confirmSettings = getDefaultSettings().interaction;
+
+// Overlay waiting for a confirming click or hold: { overlay, timeout, holdTimeout, held }
+let confirmState = null;
+
+// Callback told about every confirmed click, null until startOverlayConfirm
+let confirmedClickListener = null;
+let confirmListening = false;
+
+// Function to find the overlay an event happened on
+function getEventOverlay(event) {
+  const target = event.target;
+  return target && target.nodeType === Node.ELEMENT_NODE ? target.closest('.ad-click-guard-overlay') : null;
+}
+
+// Function to find the element a click on an overlay was meant for: the element under the pointer when it
+// belongs to the covered element, otherwise the covered element itself
+function findClickTarget(overlay, event) {
+  const anchor = overlay._anchorElement || overlay._adElement;
+  if (!anchor || !document.contains(anchor)) return null;
+
+  const stack = document.elementsFromPoint ? document.elementsFromPoint(event.clientX, event.clientY) : [];
+  const underneath = stack.find(element => !element.closest('.ad-click-guard-overlay'));
+  return underneath && anchor.contains(underneath) ? underneath : anchor;
+}
+
+// Function to take the confirmation prompt off an overlay
+function dismissConfirmPrompt() {
+  if (!confirmState) return;
+
+  clearTimeout(confirmState.timeout);
+  clearTimeout(confirmState.holdTimeout);
+  confirmState.overlay.classList.remove(CONFIRMING_CLASS, HOLDING_CLASS);
+  confirmState = null;
+}
+
+// Function to ask for confirmation on an overlay after its first click, for the configured window
+function showConfirmPrompt(overlay) {
+  dismissConfirmPrompt();
+
+  overlay.style.setProperty('--ad-click-guard-hold-duration', confirmSettings.holdDuration + 'ms');
+  overlay.classList.add(CONFIRMING_CLASS);
+  confirmState = {
+    overlay,
+    timeout: setTimeout(dismissConfirmPrompt, confirmSettings.confirmWindow),
+    holdTimeout: null,
+    held: false
+  };
+}
+
+// Function to let the next click through an overlay for the confirmation window, for ads in frames
+// that cannot receive a click from the page
+function letClickThrough(overlay) {
+  overlay.classList.add(PASSTHROUGH_CLASS);
+  overlay.style.pointerEvents = 'none';
+
+  setTimeout(() => {
+    overlay.classList.remove(PASSTHROUGH_CLASS);
+    overlay.style.pointerEvents = 'auto';
+  }, confirmSettings.confirmWindow);
+}
+
+// Function to pass a confirmed click on to the covered element. method is 'click' or 'hold'.
+function forwardConfirmedClick(overlay, event, method) {
+  const target = findClickTarget(overlay, event);
+  dismissConfirmPrompt();
+  if (!target) return;
+
+  const passthrough = PASSTHROUGH_TAGS.includes(target.localName);
+  if (passthrough) {
+    letClickThrough(overlay);
+  } else {
+    // Modifier keys are kept so a Ctrl or middle-button intent still opens a new tab
+    target.dispatchEvent(new MouseEvent('click', {
+      bubbles: true,
+      cancelable: true,
+      view: window,
+      clientX: event.clientX,
+      clientY: event.clientY,
+      button: event.button || 0,
+      ctrlKey: event.ctrlKey,
+      shiftKey: event.shiftKey,
+      altKey: event.altKey,
+      metaKey: event.metaKey
+    }));
+  }
+
+  if (confirmedClickListener) {
+    confirmedClickListener({ overlay, anchor: overlay._anchorElement || overlay._adElement, target, method, passthrough });
+  }
+}
+
+// Function to handle clicks on overlays: the first asks for confirmation, the second opens the ad
+function handleOverlayClick(event) {
+  const overlay = getEventOverlay(event);
+  if (!overlay || confirmSettings.overlayClickMode !== 'confirm') return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (confirmState && confirmState.overlay === overlay) {
+    // The click that ends a completed hold was already handled
+    if (confirmState.held) {
+      dismissConfirmPrompt();
+    } else {
+      forwardConfirmedClick(overlay, event, 'click');
+    }
+    return;
+  }
+  showConfirmPrompt(overlay);
+}
+
+// Function to start timing a press on an overlay that is asking for confirmation
+function handleOverlayPointerDown(event) {
+  const overlay = getEventOverlay(event);
+  if (!overlay || !confirmState || confirmState.overlay !== overlay) return;
+
+  clearTimeout(confirmState.holdTimeout);
+  overlay.classList.add(HOLDING_CLASS);
+  const state = confirmState;
+  state.holdTimeout = setTimeout(() => {
+    if (confirmState !== state) return;
+    forwardConfirmedClick(overlay, event, 'hold');
+    // The release still produces a click on the overlay, keep it from asking again
+    const heldState = { ...state, held: true };
+    heldState.timeout = setTimeout(() => {
+      if (confirmState === heldState) confirmState = null;
+    }, confirmSettings.confirmWindow);
+    confirmState = heldState;
+  }, confirmSettings.holdDuration);
+}
+
+// Function to stop timing a press that ended, or left the overlay, before the hold duration
+function handleOverlayPointerUp(event) {
+  if (!confirmState || confirmState.held) return;
+  if (event.type === 'pointerleave' && getEventOverlay(event) !== confirmState.overlay) return;
+
+  clearTimeout(confirmState.holdTimeout);
+  confirmState.holdTimeout = null;
+  confirmState.overlay.classList.remove(HOLDING_CLASS);
+}
+
+// Function to take over the interaction settings; leaving the 'confirm' mode drops a waiting prompt
+function setOverlayClickSettings(interaction) {
+  confirmSettings = interaction;
+  document.documentElement.classList.toggle(CONFIRM_MODE_CLASS, interaction.overlayClickMode === 'confirm');
+  if (interaction.overlayClickMode !== 'confirm') {
+    dismissConfirmPrompt();
+  }
+}
+
+// Function to start listening for clicks on overlays. onConfirmed receives
+// { overlay, anchor, target, method: 'click' | 'hold', passthrough } for every ad opened on purpose.
+function startOverlayConfirm(onConfirmed) {
+  confirmedClickListener = onConfirmed;
+  if (confirmListening) return;
+  confirmListening = true;
+
+  document.addEventListener('click', handleOverlayClick, true);
+  document.addEventListener('pointerdown', handleOverlayPointerDown, true);
+  ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+    document.addEventListener(type, handleOverlayPointerUp, true);
+  });
+}
+
+// Export functions for use in content.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findClickTarget,
+    setOverlayClickSettings,
+    startOverlayConfirm,
+    dismissConfirmPrompt
+  };
+}
+
+// Also make functions available globally for content scripts
+window.overlayConfirm = {
+  setOverlayClickSettings,
+  startOverlayConfirm,
+  dismissConfirmPrompt
+};
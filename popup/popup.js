@@ -1,31 +1,192 @@
-// Popup script to handle the toggle functionality
+// Popup script to handle the default toggle and the current site's state
 document.addEventListener('DOMContentLoaded', () => {
   const toggleSwitch = document.getElementById('toggleSwitch');
   const statusText = document.getElementById('statusText');
+  const defaultManagedNote = document.getElementById('defaultManagedNote');
+  const settingsBtn = document.getElementById('settingsBtn');
+  const detectionList = document.getElementById('detectionList');
+  const countdownStatus = document.getElementById('countdownStatus');
+  const actionButtonStatus = document.getElementById('actionButtonStatus');
+  const siteSection = document.getElementById('siteSection');
+  const siteHostname = document.getElementById('siteHostname');
+  const siteStatus = document.getElementById('siteStatus');
+  const siteMode = document.getElementById('siteMode');
+  const siteNote = document.getElementById('siteNote');
+  const siteOverlayMode = document.getElementById('siteOverlayMode');
+  const reloadNotice = document.getElementById('reloadNotice');
+  const reloadText = document.getElementById('reloadText');
+  const reloadList = document.getElementById('reloadList');
+  const reloadBtn = document.getElementById('reloadBtn');
+  const pickElementBtn = document.getElementById('pickElementBtn');
+  const reportMissedBtn = document.getElementById('reportMissedBtn');
+  const pauseControls = document.getElementById('pauseControls');
+  const pausedStatus = document.getElementById('pausedStatus');
+  const pausedText = document.getElementById('pausedText');
+  const resumeBtn = document.getElementById('resumeBtn');
+  
+  // Tabs whose content script did not acknowledge the last change, as reported by the background
+  let tabsNeedingReload = [];
+  
+  // Hostname and id of the active tab, the hostname is null on pages the extension cannot run on
+  let activeHostname = null;
+  let activeTabId = null;
+  
+  // How often the page report is refreshed while the popup is open, for the countdown's seconds
+  const REPORT_REFRESH_MS = 1000;
+  
+  // The overlay list is only rebuilt when it changed, so the entry under the pointer stays hovered
+  let lastOverlaysKey = null;
+  
+  // Readable names for where a site's state comes from
+  const siteSourceNotes = {
+    'enabled-sites': 'Always on',
+    'disabled-sites': 'Never on'
+  };
+  
+  // Function to find the active tab and its hostname
+  function getActiveTab(callback) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs[0] || null;
+      let hostname = null;
+      
+      try {
+        const url = tab && tab.url ? new URL(tab.url) : null;
+        if (url && (url.protocol === 'http:' || url.protocol === 'https:')) {
+          hostname = url.hostname;
+        }
+      } catch (e) {
+        hostname = null;
+      }
+      
+      callback(tab, hostname);
+    });
+  }
+  
+  // Function to show the default toggle and the current site's state from a getStatus-style response
+  function renderState(response) {
+    if (toggleSwitch) {
+      toggleSwitch.checked = response.defaultEnabled;
+      toggleSwitch.disabled = !!response.defaultManaged;
+    }
+    if (defaultManagedNote) defaultManagedNote.hidden = !response.defaultManaged;
+    if (statusText) updateStatusText(response.defaultEnabled);
+    renderSiteState(response.site);
+    renderPauseState(response.site, response.paused);
+    renderOverlayModeState(response.site, response.overlayMode, response.overlayModeManaged);
+  }
+  
+  // Function to show the overlay style chosen for the site. Only an entry for exactly this hostname is shown
+  // as selected, a pattern's style is named in the first entry instead.
+  function renderOverlayModeState(site, overlayMode, managed) {
+    if (!siteOverlayMode || !site) return;
+    
+    const exactEntry = !!overlayMode && overlayMode.pattern === site.hostname;
+    siteOverlayMode.value = exactEntry ? overlayMode.mode : '';
+    siteOverlayMode.options[0].textContent = overlayMode && !exactEntry
+      ? 'From "' + overlayMode.pattern + '": ' + siteOverlayMode.querySelector('option[value="' + overlayMode.mode + '"]').textContent
+      : 'As in the settings';
+    siteOverlayMode.disabled = !!managed;
+    siteOverlayMode.title = managed ? 'Managed by your organization' : '';
+  }
+  
+  // Function to offer a pause while protection runs on the site, or say until when it is paused
+  function renderPauseState(site, paused) {
+    if (!pauseControls) return;
+    
+    pauseControls.hidden = !site || !site.enabled || site.managed || !!paused;
+    pausedStatus.hidden = !site || !paused;
+    if (!site || !paused) return;
+    
+    siteStatus.textContent = 'PAUSED';
+    siteStatus.className = 'site-status disabled';
+    pausedText.textContent = paused.until
+      ? 'Paused until ' + new Date(paused.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : 'Paused until the page is reloaded';
+  }
+  
+  function renderSiteState(site) {
+    if (!siteSection) return;
+    
+    if (!site) {
+      siteSection.style.display = 'none';
+      return;
+    }
+    
+    siteSection.style.display = '';
+    siteHostname.textContent = site.hostname;
+    siteStatus.textContent = site.enabled ? 'ON' : 'OFF';
+    siteStatus.className = site.enabled ? 'site-status enabled' : 'site-status disabled';
+    
+    // Only an entry for exactly this hostname can be changed here, patterns are edited in the settings
+    const exactEntry = site.pattern === site.hostname;
+    siteMode.value = exactEntry ? (site.enabled ? 'enabled' : 'disabled') : 'default';
+    siteMode.disabled = !!site.managed;
+    
+    if (site.source === 'default') {
+      siteNote.textContent = 'Follows the default for all sites';
+    } else if (exactEntry) {
+      siteNote.textContent = siteSourceNotes[site.source] + ' for this site';
+    } else {
+      siteNote.textContent = siteSourceNotes[site.source] + ' through the pattern "' + site.pattern + '"' +
+        (site.managed ? '' : ' (see settings)');
+    }
+    if (site.managed) {
+      siteNote.textContent += ', managed by your organization';
+    }
+  }
   
   // Function to load and update the state
   function loadState() {
-    // Get state from background service worker
-    chrome.runtime.sendMessage({ action: 'getStatus' }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.log('Error getting state from background:', chrome.runtime.lastError.message);
-        // Default to false
-        const isEnabled = false;
-        if (toggleSwitch) toggleSwitch.checked = isEnabled;
-        if (statusText) updateStatusText(isEnabled);
-      } else if (response && response.enabled !== undefined) {
-        const isEnabled = response.enabled;
-        console.log('Loaded state from background:', isEnabled);
-        if (toggleSwitch) toggleSwitch.checked = isEnabled;
-        if (statusText) updateStatusText(isEnabled);
+    getActiveTab((tab, hostname) => {
+      activeHostname = hostname;
+      activeTabId = tab ? tab.id : null;
+      
+      // Get state from background service worker, the tab id lets it report a pause until reload
+      chrome.runtime.sendMessage({ action: 'getStatus', hostname: activeHostname, tabId: activeTabId }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Error getting state from background:', chrome.runtime.lastError.message);
+          // Default to false
+          renderState({ defaultEnabled: false, site: null });
+        } else if (response && response.enabled !== undefined) {
+          console.log('Loaded state from background:', response);
+          renderState(response);
+        }
+      });
+    });
+  }
+  
+  // Function to list the tabs that missed the last enable/disable change and need a reload
+  function renderTabsNeedingReload(tabs) {
+    tabsNeedingReload = tabs || [];
+    if (!reloadNotice) return;
+    
+    reloadNotice.hidden = tabsNeedingReload.length === 0;
+    reloadList.textContent = '';
+    reloadText.textContent = tabsNeedingReload.length === 1
+      ? '1 tab needs a reload to apply the change'
+      : tabsNeedingReload.length + ' tabs need a reload to apply the change';
+    
+    tabsNeedingReload.forEach(tab => {
+      const item = document.createElement('li');
+      item.textContent = tab.title;
+      item.title = tab.url;
+      reloadList.appendChild(item);
+    });
+  }
+  
+  function loadTabsNeedingReload() {
+    chrome.runtime.sendMessage({ action: 'getTabsNeedingReload' }, (response) => {
+      if (!chrome.runtime.lastError && response) {
+        renderTabsNeedingReload(response.tabs);
       }
     });
   }
-
+  
   // Load the current state from storage
   loadState();
+  loadTabsNeedingReload();
 
-  // Toggle the extension state
+  // Toggle the default state for all sites
   if (toggleSwitch) {
     toggleSwitch.addEventListener('change', (e) => {
       const isEnabled = e.target.checked;
@@ -36,33 +197,275 @@ document.addEventListener('DOMContentLoaded', () => {
       // Send message to background service worker to update state
       chrome.runtime.sendMessage({
         action: 'toggleExtension',
-        enabled: isEnabled
+        enabled: isEnabled,
+        hostname: activeHostname,
+        tabId: activeTabId
       }, (response) => {
         if (chrome.runtime.lastError) {
           console.log('Error sending toggle to background:', chrome.runtime.lastError.message);
+        } else if (response.error) {
+          // The policy set the default in the meantime
+          console.log('Toggle refused by background:', response.error);
+          renderState(response);
         } else {
+          // The background has pushed the change to every tab
           console.log('Toggle state sent to background, response:', response);
-          
-          // Send message to content script to update its state
-          chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-              chrome.tabs.sendMessage(tabs[0].id, {
-                action: 'toggleExtension',
-                enabled: isEnabled
-              }, (contentResponse) => {
-                // Handle potential error when tab is not available
-                if (chrome.runtime.lastError) {
-                  console.log('Could not send message to tab:', chrome.runtime.lastError.message);
-                } else {
-                  console.log('Message sent to content script, response:', contentResponse);
-                }
-              });
-            }
-          });
+          renderState(response);
+          renderTabsNeedingReload(response.needsReload);
+        }
+      });
+    });
+  }
+  
+  // Change whether protection runs on the current site
+  if (siteMode) {
+    siteMode.addEventListener('change', () => {
+      chrome.runtime.sendMessage({
+        action: 'setSiteState',
+        hostname: activeHostname,
+        tabId: activeTabId,
+        mode: siteMode.value
+      }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          console.log('Error changing site state:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          loadState();
+          return;
+        }
+        
+        renderState(response);
+        renderTabsNeedingReload(response.needsReload);
+      });
+    });
+  }
+
+  // Change how overlays look on the current site, an empty value goes back to the settings
+  if (siteOverlayMode) {
+    siteOverlayMode.addEventListener('change', () => {
+      chrome.runtime.sendMessage({
+        action: 'setSiteOverlayMode',
+        hostname: activeHostname,
+        tabId: activeTabId,
+        mode: siteOverlayMode.value || null
+      }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          console.log('Error changing the overlay style:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          loadState();
+          return;
+        }
+        
+        renderState(response);
+        renderTabsNeedingReload(response.needsReload);
+      });
+    });
+  }
+
+  // Function to pause the current site (minutes null: until the tab is reloaded) or end its pause
+  function sendPauseChange(message) {
+    chrome.runtime.sendMessage({ ...message, hostname: activeHostname, tabId: activeTabId }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        console.log('Error changing the pause:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        loadState();
+        return;
+      }
+      
+      renderState(response);
+      renderTabsNeedingReload(response.needsReload);
+    });
+  }
+  
+  if (pauseControls) {
+    pauseControls.querySelectorAll('[data-minutes]').forEach(button => {
+      button.addEventListener('click', () => {
+        const minutes = button.dataset.minutes === 'reload' ? null : Number(button.dataset.minutes);
+        sendPauseChange({ action: 'pauseSite', minutes });
+      });
+    });
+  }
+  
+  if (resumeBtn) {
+    resumeBtn.addEventListener('click', () => {
+      sendPauseChange({ action: 'resumeSite' });
+    });
+  }
+  
+  // Function to ask the active tab's top frame for its live report: overlays and why each was created,
+  // the countdown and the action button
+  function loadDetectionReport() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+      
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'getDetectionReport' }, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          renderDetections(null);
+          renderPageStatus(null);
+        } else {
+          renderDetections(response.overlays);
+          renderPageStatus(response);
+        }
+      });
+    });
+  }
+  
+  // Function to flash an element of the report on the page, and scroll to it when scroll is set
+  function showReportElement(kind, index, scroll) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+      
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'showReportElement', kind, index, scroll }, { frameId: 0 }, () => {
+        // The page may have navigated or removed the element since the report
+        void chrome.runtime.lastError;
+      });
+    });
+  }
+  
+  // Function to make a report entry point out its element: flash on hover, scroll to it on click
+  function linkReportElement(entry, kind, index) {
+    entry.classList.add('report-target');
+    entry.addEventListener('mouseenter', () => showReportElement(kind, index, false));
+    entry.addEventListener('click', () => showReportElement(kind, index, true));
+  }
+  
+  function renderPageStatus(report) {
+    if (!countdownStatus || !actionButtonStatus) return;
+    
+    const countdown = report && report.countdown;
+    if (countdown) {
+      countdownStatus.textContent = countdown.done
+        ? 'Countdown done: "' + countdown.text + '"'
+        : 'Countdown: ' + countdown.remainingSeconds + ' s left ("' + countdown.text + '")';
+    } else {
+      countdownStatus.textContent = report ? 'No countdown detected' : '';
+    }
+    if (countdown && !countdownStatus.classList.contains('report-target')) {
+      linkReportElement(countdownStatus, 'countdown', 0);
+    }
+    
+    const button = report && report.actionButton;
+    actionButtonStatus.textContent = button
+      ? 'Action button: "' + button.label + '" (' + button.tag + ')'
+      : (report ? 'No action button found' : '');
+    if (button && !actionButtonStatus.classList.contains('report-target')) {
+      linkReportElement(actionButtonStatus, 'actionButton', 0);
+    }
+  }
+  
+  function renderDetections(overlays) {
+    if (!detectionList) return;
+    
+    const overlaysKey = JSON.stringify(overlays);
+    if (overlaysKey === lastOverlaysKey) return;
+    lastOverlaysKey = overlaysKey;
+    detectionList.textContent = '';
+    
+    if (!overlays || overlays.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'detection-empty';
+      empty.textContent = overlays ? 'No overlays on this page' : 'Not available on this page';
+      detectionList.appendChild(empty);
+      return;
+    }
+    
+    overlays.forEach((item, index) => {
+      // Described by the content script, the same way as in the overlay tooltip
+      const description = item.description;
+      const entry = document.createElement('li');
+      entry.className = 'detection-item';
+      linkReportElement(entry, 'overlay', index);
+      
+      const title = document.createElement('div');
+      title.className = 'detection-title';
+      title.textContent = item.tag + (item.id ? '#' + item.id : '') + ' ' + item.width + '×' + item.height +
+        (description ? ' - ' + description.label : '');
+      entry.appendChild(title);
+      
+      const details = [];
+      if (item.network) details.push('Network: ' + item.network);
+      if (description) {
+        details.push(...description.details);
+      } else {
+        details.push('No detection reason recorded');
+      }
+      
+      details.forEach(text => {
+        const detail = document.createElement('div');
+        detail.className = 'detection-detail';
+        detail.textContent = text;
+        entry.appendChild(detail);
+      });
+      
+      const reportButton = document.createElement('button');
+      reportButton.className = 'report-problem-btn';
+      reportButton.textContent = 'Not an ad? Report';
+      reportButton.addEventListener('click', (event) => {
+        // The entry itself scrolls to the element when clicked
+        event.stopPropagation();
+        reportOverlay(index, reportButton);
+      });
+      entry.appendChild(reportButton);
+      
+      detectionList.appendChild(entry);
+    });
+  }
+  
+  loadDetectionReport();
+  setInterval(loadDetectionReport, REPORT_REFRESH_MS);
+  
+  // Function to queue a report that an overlay covers something that is not an ad, for the review queue
+  // in the settings
+  function reportOverlay(index, button) {
+    button.disabled = true;
+    getActiveTab((tab) => {
+      if (!tab) return;
+      
+      chrome.tabs.sendMessage(tab.id, { action: 'reportProblem', index }, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          button.disabled = false;
+          button.textContent = 'Could not report: ' + (chrome.runtime.lastError ? 'reload the page' : (response && response.error) || 'no response');
+          return;
         }
+        button.textContent = 'Reported';
       });
     });
   }
+  
+  // Function to start the element picker on the page, the popup closes so the page can be pointed at.
+  // mode 'report' reports the picked element as a missed ad instead of saving a rule.
+  function startElementPicker(mode) {
+    getActiveTab((tab) => {
+      if (!tab) return;
+      
+      chrome.tabs.sendMessage(tab.id, { action: 'startElementPicker', mode }, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          siteNote.textContent = 'Reload the page to pick an element on it';
+          return;
+        }
+        window.close();
+      });
+    });
+  }
+  
+  if (pickElementBtn) {
+    pickElementBtn.addEventListener('click', () => startElementPicker('rule'));
+  }
+  
+  if (reportMissedBtn) {
+    reportMissedBtn.addEventListener('click', () => startElementPicker('report'));
+  }
+  
+  // Reload the tabs that missed the change, their content script picks up the state on load
+  if (reloadBtn) {
+    reloadBtn.addEventListener('click', () => {
+      tabsNeedingReload.forEach(tab => chrome.tabs.reload(tab.tabId));
+      renderTabsNeedingReload([]);
+    });
+  }
+  
+  // Open the options page for filter list management
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+  }
 
   function updateStatusText(isEnabled) {
     if (statusText) {
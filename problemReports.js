@@ -0,0 +1,126 @@
+// Problem Report Functions
+// Local review queue of detection mistakes reported from the popup: elements covered that are not ads
+// and ads that were missed. Each report keeps the page, a sanitized snippet of the element, its detection
+// reason and the configuration at that moment; the queue is exported as one JSON bundle for triage.
+// Loaded into the background service worker with importScripts(); the options page only uses the storage key
+// and the kind names.
+
+const PROBLEM_REPORTS_KEY = 'problemReports';
+const PROBLEM_REPORT_EXPORT_FORMAT = 'ad-click-guard-problem-reports';
+const PROBLEM_REPORT_EXPORT_VERSION = 1;
+
+// Oldest reports are dropped once the queue holds this many
+const PROBLEM_REPORT_LIMIT = 200;
+
+// Longest element snippet kept, content scripts already cut theirs to this length
+const PROBLEM_REPORT_SNIPPET_LIMIT = 4000;
+
+// What went wrong, with the names used in the options page
+const PROBLEM_REPORT_KINDS = {
+  'false-positive': 'Covered but not an ad',
+  'false-negative': 'Ad not covered'
+};
+
+// Pending write, so reports sent at the same time do not overwrite each other
+let problemReportsWrite = Promise.resolve();
+
+// Function to check a report sent by a content script and keep only the fields the queue stores.
+// Throws when the report cannot be queued.
+function normalizeProblemReport(report) {
+  if (!report || typeof report !== 'object') {
+    throw new Error('The report is empty');
+  }
+  if (!Object.prototype.hasOwnProperty.call(PROBLEM_REPORT_KINDS, report.kind)) {
+    throw new Error('Reports are about a covered element that is not an ad or a missed ad');
+  }
+
+  let url;
+  try {
+    url = new URL(report.url);
+  } catch (e) {
+    throw new Error('The report has no page address');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Only pages of websites can be reported');
+  }
+
+  const text = (value, limit) => typeof value === 'string' ? value.substring(0, limit) : '';
+  return {
+    kind: report.kind,
+    url: url.href,
+    selector: text(report.selector, 500),
+    snippet: text(report.snippet, PROBLEM_REPORT_SNIPPET_LIMIT),
+    element: report.element && typeof report.element === 'object' ? {
+      tag: text(report.element.tag, 40),
+      width: Math.round(Number(report.element.width)) || 0,
+      height: Math.round(Number(report.element.height)) || 0
+    } : null,
+    reason: report.reason && typeof report.reason === 'object' ? report.reason : null
+  };
+}
+
+// Function to read the queue, oldest report first
+function loadProblemReports() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [PROBLEM_REPORTS_KEY]: [] }, (result) => {
+      if (chrome.runtime.lastError) {
+        console.log('Error reading problem reports:', chrome.runtime.lastError.message);
+      }
+      resolve((result && result[PROBLEM_REPORTS_KEY]) || []);
+    });
+  });
+}
+
+// Function to change the queue with update(reports) => reports, after any write still in progress
+function updateProblemReports(update) {
+  problemReportsWrite = problemReportsWrite
+    .catch(() => {})
+    .then(() => loadProblemReports())
+    .then(reports => {
+      const updated = update(reports);
+      return new Promise((resolve, reject) => {
+        chrome.storage.local.set({ [PROBLEM_REPORTS_KEY]: updated }, () => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve(updated);
+          }
+        });
+      });
+    });
+  return problemReportsWrite;
+}
+
+// Function to queue a report with the configuration it was made with. Resolves to the stored report.
+function addProblemReport(report, configuration) {
+  const stored = {
+    id: Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 8),
+    createdAt: new Date().toISOString(),
+    ...normalizeProblemReport(report),
+    configuration
+  };
+
+  return updateProblemReports(reports => reports.concat([stored]).slice(-PROBLEM_REPORT_LIMIT))
+    .then(() => stored);
+}
+
+// Function to drop one report once it has been triaged
+function removeProblemReport(id) {
+  return updateProblemReports(reports => reports.filter(report => report.id !== id));
+}
+
+// Function to empty the queue
+function clearProblemReports() {
+  return updateProblemReports(() => []);
+}
+
+// Function to build the bundle handed to the team: every queued report and the extension version
+function createProblemReportExport(reports, extensionVersion) {
+  return {
+    format: PROBLEM_REPORT_EXPORT_FORMAT,
+    version: PROBLEM_REPORT_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion,
+    reports
+  };
+}
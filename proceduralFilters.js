@@ -0,0 +1,543 @@
+// Procedural Cosmetic Filter Functions
+// Parses extended selectors (:has-text(), :-abp-contains(), :-abp-has(), :upward(), :xpath(), :matches-css())
+// into a pipeline of steps and runs that pipeline against the DOM
+
+// Procedural operators and the step type each one maps to
+const PROCEDURAL_OPERATORS = {
+  'has-text': 'has-text',
+  '-abp-contains': 'has-text',
+  'contains': 'has-text',
+  '-abp-has': 'has',
+  'has': 'has',
+  'if': 'has',
+  'if-not': 'if-not',
+  'not': 'not',
+  'upward': 'upward',
+  'nth-ancestor': 'upward',
+  'xpath': 'xpath',
+  'matches-css': 'matches-css',
+  'matches-css-before': 'matches-css',
+  'matches-css-after': 'matches-css',
+  'min-text-length': 'min-text-length',
+  'remove': 'remove'
+};
+
+// Operators that also exist in native CSS and are only procedural when their argument is
+const NATIVE_CSS_OPERATORS = ['has', 'not'];
+
+// Operators we recognise but cannot evaluate as a hiding rule (style injection, stylesheet scanning)
+const UNSUPPORTED_OPERATORS = ['style', '-abp-properties', 'matches-path', 'watch-attr', 'matches-attr', 'matches-prop', 'others'];
+
+// Parsed pipelines keyed by selector text, null for selectors that cannot be evaluated
+const proceduralSelectorCache = new Map();
+
+// Elements matched by the most recent procedural evaluations and the selector that matched them,
+// consulted by matchesEasyListSelectors and the detection reasons
+let proceduralMatchedElements = new WeakMap();
+
+// Function to find the index of the parenthesis closing the one at openIndex, honouring quotes and escapes
+function findClosingParenthesis(text, openIndex) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\\') {
+      i++; // Skip the escaped character
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+// Function to split a selector into plain CSS parts and procedural operators
+// Returns an array of { type: 'css', selector } and { type: 'operator', name, arg } tokens, or null if unbalanced
+function tokenizeProceduralSelector(selector) {
+  const tokens = [];
+  let css = '';
+  let bracketDepth = 0;
+  let quote = null;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (char === '\\') {
+      css += char + (selector[i + 1] || '');
+      i++;
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) quote = null;
+      css += char;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      bracketDepth++;
+    } else if (char === ']') {
+      bracketDepth--;
+    }
+
+    if (char === ':' && bracketDepth === 0) {
+      const nameMatch = selector.substring(i + 1).match(/^(-?[a-z][a-z-]*)\(/i);
+
+      if (nameMatch) {
+        const name = nameMatch[1].toLowerCase();
+        const openIndex = i + 1 + nameMatch[1].length;
+        const closeIndex = findClosingParenthesis(selector, openIndex);
+
+        if (closeIndex === -1) {
+          return null;
+        }
+
+        const arg = selector.substring(openIndex + 1, closeIndex);
+        const isProceduralOperator = PROCEDURAL_OPERATORS[name] &&
+          (!NATIVE_CSS_OPERATORS.includes(name) || isProceduralSelector(arg));
+
+        if (isProceduralOperator || UNSUPPORTED_OPERATORS.includes(name)) {
+          if (css.trim()) {
+            tokens.push({ type: 'css', selector: css });
+          }
+          css = '';
+          tokens.push({ type: 'operator', name, arg: arg.trim() });
+          i = closeIndex;
+          continue;
+        }
+
+        // Native pseudo-class such as :not(.x) or :nth-child(2): keep it in the CSS part as-is
+        css += selector.substring(i, closeIndex + 1);
+        i = closeIndex;
+        continue;
+      }
+    }
+
+    css += char;
+  }
+
+  if (css.trim()) {
+    tokens.push({ type: 'css', selector: css });
+  }
+
+  return tokens;
+}
+
+// Function to check whether a selector needs the procedural engine instead of querySelectorAll
+function isProceduralSelector(selector) {
+  if (!selector || selector.indexOf(':') === -1) {
+    return false;
+  }
+
+  const lowerSelector = selector.toLowerCase();
+
+  return Object.keys(PROCEDURAL_OPERATORS).concat(UNSUPPORTED_OPERATORS).some(name => {
+    if (!lowerSelector.includes(':' + name + '(')) {
+      return false;
+    }
+    if (!NATIVE_CSS_OPERATORS.includes(name)) {
+      return true;
+    }
+    // :has() and :not() are native CSS unless they wrap a procedural selector
+    const tokens = tokenizeProceduralSelector(selector);
+    return !tokens || tokens.some(token => token.type === 'operator');
+  });
+}
+
+// Function to turn a "text" or "/regex/flags" argument into a matcher function
+function createTextMatcher(arg) {
+  let value = arg.trim();
+
+  const regexMatch = value.match(/^\/(.+)\/([imsu]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      return text => regex.test(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Strip optional quotes around plain text
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    value = value.slice(1, -1);
+  }
+
+  return text => text.includes(value);
+}
+
+// Function to turn a "property: value" argument of :matches-css() into a matcher on computed style
+function createCssValueMatcher(arg, pseudoElement) {
+  const separatorIndex = arg.indexOf(':');
+  if (separatorIndex === -1) {
+    return null;
+  }
+
+  const property = arg.substring(0, separatorIndex).trim();
+  const rawValue = arg.substring(separatorIndex + 1).trim();
+  let valueMatcher;
+
+  const regexMatch = rawValue.match(/^\/(.+)\/([imsu]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      valueMatcher = value => regex.test(value);
+    } catch (e) {
+      return null;
+    }
+  } else {
+    // ABP style wildcards: "*" matches anything
+    const pattern = rawValue.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp('^' + pattern + '$', 'i');
+    valueMatcher = value => regex.test(value);
+  }
+
+  return element => {
+    const style = window.getComputedStyle(element, pseudoElement);
+    return valueMatcher(style.getPropertyValue(property));
+  };
+}
+
+// Function to parse a selector into a step pipeline, cached per selector text
+function parseProceduralSelector(selector) {
+  if (proceduralSelectorCache.has(selector)) {
+    return proceduralSelectorCache.get(selector);
+  }
+
+  let pipeline = null;
+  try {
+    pipeline = buildProceduralPipeline(selector);
+  } catch (e) {
+    console.debug('Could not parse procedural selector:', selector, e);
+    pipeline = null;
+  }
+
+  proceduralSelectorCache.set(selector, pipeline);
+  return pipeline;
+}
+
+// Function to build the step pipeline for a procedural selector
+function buildProceduralPipeline(selector) {
+  const tokens = tokenizeProceduralSelector(selector.trim());
+  if (!tokens || tokens.length === 0) {
+    return null;
+  }
+
+  const steps = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'css') {
+      steps.push({ type: 'css', selector: token.selector });
+      continue;
+    }
+
+    if (UNSUPPORTED_OPERATORS.includes(token.name)) {
+      return null;
+    }
+
+    const stepType = PROCEDURAL_OPERATORS[token.name];
+
+    switch (stepType) {
+      case 'has-text': {
+        const matcher = createTextMatcher(token.arg);
+        if (!matcher) return null;
+        steps.push({ type: 'has-text', matcher });
+        break;
+      }
+      case 'has':
+      case 'if-not': {
+        const inner = parseRelativePipeline(token.arg);
+        if (!inner) return null;
+        steps.push({ type: stepType, inner });
+        break;
+      }
+      case 'not': {
+        // :not() tests the element itself, not what is below it
+        const inner = token.arg.trim() ? buildProceduralPipeline(token.arg.trim()) : null;
+        if (!inner) return null;
+        steps.push({ type: 'not', inner });
+        break;
+      }
+      case 'upward': {
+        const count = parseInt(token.arg, 10);
+        if (/^\d+$/.test(token.arg) && count >= 1 && count < 256) {
+          steps.push({ type: 'upward', count });
+        } else if (token.arg) {
+          steps.push({ type: 'upward', selector: token.arg });
+        } else {
+          return null;
+        }
+        break;
+      }
+      case 'xpath':
+        steps.push({ type: 'xpath', expression: token.arg });
+        break;
+      case 'matches-css': {
+        const pseudoElement = token.name.endsWith('-before') ? '::before' : token.name.endsWith('-after') ? '::after' : null;
+        const matcher = createCssValueMatcher(token.arg, pseudoElement);
+        if (!matcher) return null;
+        steps.push({ type: 'matches-css', matcher });
+        break;
+      }
+      case 'min-text-length': {
+        const length = parseInt(token.arg, 10);
+        if (isNaN(length)) return null;
+        steps.push({ type: 'min-text-length', length });
+        break;
+      }
+      case 'remove':
+        // uBO action operator: the element is still an ad, we overlay it instead of removing it
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return { selector, steps };
+}
+
+// Function to parse the argument of :-abp-has()/:not(), which may start with a combinator like "> .ad"
+function parseRelativePipeline(arg) {
+  const trimmedArg = arg.trim();
+  if (!trimmedArg) {
+    return null;
+  }
+
+  // A relative selector without a leading combinator means "descendant"
+  const relativeSelector = /^[>+~]/.test(trimmedArg) ? trimmedArg : ' ' + trimmedArg;
+  return buildProceduralPipeline(relativeSelector) || null;
+}
+
+// Function to split a CSS string into its first compound selector and the remaining chain
+function splitFirstCompound(css) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && (char === ' ' || char === '>' || char === '+' || char === '~')) {
+      return { compound: css.substring(0, i), rest: css.substring(i) };
+    }
+  }
+
+  return { compound: css, rest: '' };
+}
+
+// Function to apply a CSS step to the current element set
+// The first step of a pipeline queries from the root, later steps continue from each element
+function applyCssStep(elements, css, root) {
+  if (elements === null) {
+    const context = root || document;
+    // A pipeline evaluated relative to an element (inside :-abp-has) starts with a combinator
+    if (/^\s*[>+~]|^\s/.test(css) && context.nodeType === Node.ELEMENT_NODE) {
+      return applyCssStep([context], css, null);
+    }
+    return Array.from(context.querySelectorAll(css));
+  }
+
+  const results = new Set();
+  const trimmedCss = css.trim();
+
+  if (!trimmedCss) {
+    return elements;
+  }
+
+  elements.forEach(element => {
+    if (trimmedCss.startsWith('+') || trimmedCss.startsWith('~')) {
+      // Sibling combinators cannot be expressed with :scope, walk the siblings by hand
+      const { compound, rest } = splitFirstCompound(trimmedCss.substring(1).trim());
+      const siblings = [];
+      let sibling = element.nextElementSibling;
+
+      while (sibling) {
+        if (sibling.matches(compound)) {
+          siblings.push(sibling);
+        }
+        if (trimmedCss.startsWith('+')) break;
+        sibling = sibling.nextElementSibling;
+      }
+
+      const matched = rest.trim() ? applyCssStep(siblings, rest, null) : siblings;
+      matched.forEach(match => results.add(match));
+    } else if (trimmedCss.startsWith('>') || /^\s/.test(css)) {
+      // Child or descendant combinator
+      element.querySelectorAll(':scope ' + trimmedCss).forEach(match => results.add(match));
+    } else {
+      // Compound glued to the previous operator, e.g. ":has-text(Ad).banner"
+      const { compound, rest } = splitFirstCompound(trimmedCss);
+      if (element.matches(compound)) {
+        const matched = rest.trim() ? applyCssStep([element], rest, null) : [element];
+        matched.forEach(match => results.add(match));
+      }
+    }
+  });
+
+  return Array.from(results);
+}
+
+// Function to run a parsed pipeline, returning the matched elements. Without startElements the first step
+// queries below root; with them the pipeline filters and continues from those elements.
+function runProceduralPipeline(pipeline, root, startElements) {
+  let elements = startElements || null; // null until the first step produced a set
+
+  for (const step of pipeline.steps) {
+    // Operators at the start of a pipeline apply to every element below the root
+    if (elements === null && step.type !== 'css' && step.type !== 'xpath') {
+      elements = applyCssStep(null, '*', root);
+    }
+
+    switch (step.type) {
+      case 'css':
+        elements = applyCssStep(elements, step.selector, root);
+        break;
+      case 'has-text':
+        elements = elements.filter(element => step.matcher(element.textContent || ''));
+        break;
+      case 'has':
+        elements = elements.filter(element => runProceduralPipeline(step.inner, element).length > 0);
+        break;
+      case 'not':
+        elements = elements.filter(element => runProceduralPipeline(step.inner, element, [element]).length === 0);
+        break;
+      case 'if-not':
+        elements = elements.filter(element => runProceduralPipeline(step.inner, element).length === 0);
+        break;
+      case 'upward': {
+        const ancestors = new Set();
+        elements.forEach(element => {
+          let ancestor = element.parentElement;
+          if (step.count) {
+            for (let i = 1; i < step.count && ancestor; i++) {
+              ancestor = ancestor.parentElement;
+            }
+          } else {
+            ancestor = ancestor ? ancestor.closest(step.selector) : null;
+          }
+          if (ancestor && ancestor !== document.documentElement && ancestor !== document.body) {
+            ancestors.add(ancestor);
+          }
+        });
+        elements = Array.from(ancestors);
+        break;
+      }
+      case 'xpath': {
+        const contexts = elements === null ? [root || document] : elements;
+        const matches = new Set();
+        contexts.forEach(context => {
+          const result = document.evaluate(step.expression, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+          for (let i = 0; i < result.snapshotLength; i++) {
+            const node = result.snapshotItem(i);
+            if (node.nodeType === Node.ELEMENT_NODE) {
+              matches.add(node);
+            }
+          }
+        });
+        elements = Array.from(matches);
+        break;
+      }
+      case 'matches-css':
+        elements = elements.filter(step.matcher);
+        break;
+      case 'min-text-length':
+        elements = elements.filter(element => (element.textContent || '').length >= step.length);
+        break;
+    }
+
+    if (elements.length === 0) {
+      break;
+    }
+  }
+
+  return elements || [];
+}
+
+// Function to find the elements matched by a procedural selector below root (document by default)
+function evaluateProceduralSelector(selector, root) {
+  const pipeline = parseProceduralSelector(selector);
+  if (!pipeline) {
+    return [];
+  }
+
+  try {
+    const elements = runProceduralPipeline(pipeline, root || document);
+    elements.forEach(element => proceduralMatchedElements.set(element, selector));
+    return elements;
+  } catch (e) {
+    console.debug('Error evaluating procedural selector:', selector, e);
+    return [];
+  }
+}
+
+// Function to check whether an element was matched by a procedural selector during detection
+function isProceduralMatch(element) {
+  return proceduralMatchedElements.has(element);
+}
+
+// Function to get the procedural selector that matched an element, null when none did
+function getProceduralMatch(element) {
+  return proceduralMatchedElements.get(element) || null;
+}
+
+// Function to forget previous procedural matches, e.g. when protection is switched off
+function resetProceduralMatches() {
+  proceduralMatchedElements = new WeakMap();
+}
+
+// Export functions for use in adDetection.js and content.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isProceduralSelector,
+    tokenizeProceduralSelector,
+    parseProceduralSelector,
+    evaluateProceduralSelector,
+    isProceduralMatch,
+    getProceduralMatch,
+    resetProceduralMatches
+  };
+}
+
+// Also make functions available globally for content scripts
+window.proceduralFilters = {
+  isProceduralSelector,
+  parseProceduralSelector,
+  evaluateProceduralSelector,
+  isProceduralMatch,
+  getProceduralMatch,
+  resetProceduralMatches
+};
@@ -0,0 +1,248 @@
+// Selector Index Functions
+// Compiles cosmetic selectors into buckets keyed by the id, class, attribute or tag their
+// rightmost compound requires, so an element is only tested against selectors that could match it
+
+// Compiled indexes keyed by the selector array they were built from
+const selectorIndexCache = new WeakMap();
+
+// Function to split a selector list at top-level commas
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(selector.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+
+  parts.push(selector.substring(start).trim());
+  return parts.filter(part => part);
+}
+
+// Function to get the rightmost compound of a complex selector with parenthesis contents and attribute
+// values blanked out, e.g. 'div.ad > a[href*="x y"]:not(.b)' -> 'a[href]:not()'
+function getKeyCompound(selector) {
+  let compound = '';
+  let depth = 0;
+  let quote = null;
+  let readingAttributeName = false;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (char === '\\') {
+      // Escaped identifiers are rare, leave such selectors to the generic bucket
+      return null;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+
+    // Inside brackets only the attribute name right after "[" is kept
+    if (readingAttributeName && /[\w-]/.test(char)) {
+      compound += char;
+      continue;
+    }
+    readingAttributeName = false;
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      if (depth === 0) {
+        compound += char;
+        readingAttributeName = char === '[';
+      }
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+      if (depth === 0) compound += char;
+    } else if (depth > 0) {
+      continue;
+    } else if (char === ' ' || char === '>' || char === '+' || char === '~') {
+      compound = '';
+    } else {
+      compound += char;
+    }
+  }
+
+  return compound;
+}
+
+// Function to choose the bucket a selector is indexed under: { type: 'id'|'class'|'attribute'|'tag'|'generic', value }
+function getSelectorKey(selector) {
+  const compound = getKeyCompound(selector);
+  if (!compound) {
+    return { type: 'generic', value: null };
+  }
+
+  const idMatch = compound.match(/#([\w-]+)/);
+  if (idMatch) {
+    return { type: 'id', value: idMatch[1] };
+  }
+
+  // Prefer the longest class name, longer names tend to be rarer on a page
+  const classMatches = compound.match(/\.[\w-]+/g);
+  if (classMatches) {
+    const longest = classMatches.reduce((best, item) => item.length > best.length ? item : best);
+    return { type: 'class', value: longest.substring(1) };
+  }
+
+  const attributeMatch = compound.match(/\[([\w-]+)/);
+  if (attributeMatch) {
+    return { type: 'attribute', value: attributeMatch[1].toLowerCase() };
+  }
+
+  const tagMatch = compound.match(/^([a-z][\w-]*)/i);
+  if (tagMatch) {
+    return { type: 'tag', value: tagMatch[1].toLowerCase() };
+  }
+
+  return { type: 'generic', value: null };
+}
+
+// Function to compile a selector array into an index
+function createSelectorIndex(selectors) {
+  const index = {
+    ids: new Map(),
+    classes: new Map(),
+    attributes: new Map(),
+    tags: new Map(),
+    generic: [],
+    procedural: [],
+    invalid: new Set(),
+    size: 0
+  };
+
+  const buckets = {
+    id: index.ids,
+    class: index.classes,
+    attribute: index.attributes,
+    tag: index.tags
+  };
+
+  (selectors || []).forEach(selector => {
+    // element.matches() cannot run procedural selectors, they are answered from recorded matches
+    if (isProceduralSelector(selector)) {
+      index.procedural.push(selector);
+      return;
+    }
+
+    // Each part of a selector list is indexed on its own; matching any part means the selector matches
+    splitSelectorList(selector).forEach(part => {
+      const key = getSelectorKey(part);
+      const entry = { selector, part };
+
+      if (key.type === 'generic') {
+        index.generic.push(entry);
+      } else {
+        const bucket = buckets[key.type];
+        if (!bucket.has(key.value)) {
+          bucket.set(key.value, []);
+        }
+        bucket.get(key.value).push(entry);
+      }
+      index.size++;
+    });
+  });
+
+  return index;
+}
+
+// Function to get the index of a selector array, compiling it on first use
+function getSelectorIndex(selectors) {
+  if (!selectorIndexCache.has(selectors)) {
+    selectorIndexCache.set(selectors, createSelectorIndex(selectors));
+  }
+  return selectorIndexCache.get(selectors);
+}
+
+// Function to find the first indexed CSS selector an element matches, null when none does
+function findIndexedSelectorMatch(index, element) {
+  if (!element || !element.matches) {
+    return null;
+  }
+
+  const testEntries = (entries) => {
+    if (!entries) return null;
+
+    for (const entry of entries) {
+      if (index.invalid.has(entry.part)) continue;
+
+      try {
+        if (element.matches(entry.part)) {
+          return entry.selector;
+        }
+      } catch (e) {
+        // Remember invalid selectors so they are never tried again
+        index.invalid.add(entry.part);
+      }
+    }
+    return null;
+  };
+
+  let match = null;
+
+  if (element.id) {
+    match = testEntries(index.ids.get(element.id));
+    if (match) return match;
+  }
+
+  if (element.classList) {
+    for (const className of element.classList) {
+      match = testEntries(index.classes.get(className));
+      if (match) return match;
+    }
+  }
+
+  if (index.attributes.size > 0 && element.getAttributeNames) {
+    for (const name of element.getAttributeNames()) {
+      match = testEntries(index.attributes.get(name));
+      if (match) return match;
+    }
+  }
+
+  match = testEntries(index.tags.get(element.localName));
+  if (match) return match;
+
+  return testEntries(index.generic);
+}
+
+// Export functions for use in adDetection.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    splitSelectorList,
+    getSelectorKey,
+    createSelectorIndex,
+    getSelectorIndex,
+    findIndexedSelectorMatch
+  };
+}
+
+// Also make functions available globally for content scripts
+window.selectorIndex = {
+  getSelectorKey,
+  createSelectorIndex,
+  getSelectorIndex,
+  findIndexedSelectorMatch
+};
@@ -0,0 +1,325 @@
+// Settings Functions
+// The tunable settings: overlay style and colors, highlight color, countdown detection timings, ad score thresholds and
+// what a click on an overlay does.
+// Holds their schema, defaults, validation and migrations. DOM-free, shared by the content scripts, the
+// background service worker and the options page. Stored as one versioned object in chrome.storage.sync.
+// An administrator can lock settings through enterprise policy; locked values win over the stored ones.
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Policy key in chrome.storage.managed holding locked settings, see managed_schema.json
+const MANAGED_SETTINGS_KEY = 'settings';
+
+// Bump when the stored layout changes, and add a migration from the previous version to SETTINGS_MIGRATIONS
+const SETTINGS_VERSION = 1;
+
+// Every setting by group, with its type, default and bounds. Numbers are whole unless the field has a step.
+// Enums may name their values for the options page with valueLabels.
+const SETTINGS_SCHEMA = {
+  appearance: {
+    overlayMode: {
+      type: 'enum',
+      default: 'block',
+      values: ['block', 'dim', 'outline', 'blur', 'collapse'],
+      valueLabels: {
+        block: 'Block (tinted cover)',
+        dim: 'Dim the ad',
+        outline: 'Outline only',
+        blur: 'Blur the ad',
+        collapse: 'Collapse the ad slot'
+      },
+      label: 'Overlay style'
+    },
+    overlayColor: { type: 'color', default: '#ff0000', label: 'Overlay color' },
+    overlayOpacity: { type: 'number', default: 0.25, min: 0.05, max: 0.9, step: 0.05, label: 'Overlay opacity' },
+    highlightColor: { type: 'color', default: '#4ade80', label: 'Countdown highlight color' }
+  },
+  countdown: {
+    minimumDuration: { type: 'number', default: 1, min: 1, max: 300, label: 'Shortest countdown (seconds)' },
+    maximumDuration: { type: 'number', default: 120, min: 1, max: 300, label: 'Longest countdown (seconds)' },
+    scrollBehavior: { type: 'enum', default: 'smooth', values: ['smooth', 'auto'], label: 'Scroll to countdown' },
+    focusEffectDuration: { type: 'number', default: 10000, min: 1000, max: 120000, label: 'Highlight duration without a countdown value (ms)' },
+    validationDelay: { type: 'number', default: 1000, min: 100, max: 5000, label: 'Delay between countdown checks (ms)' },
+    debounceTime: { type: 'number', default: 300, min: 0, max: 2000, label: 'Debounce for text changes (ms)' }
+  },
+  detection: {
+    adScoreThreshold: { type: 'number', default: 4, min: 1, max: 20, label: 'Score needed to cover an element' },
+    knownAdClassScoreThreshold: { type: 'number', default: 4, min: 1, max: 20, label: 'Score needed for known ad classes' },
+    addedContentScoreThreshold: { type: 'number', default: 2, min: 0, max: 20, label: 'Score needed for filter matches in content added later' }
+  },
+  interaction: {
+    overlayClickMode: {
+      type: 'enum',
+      default: 'block',
+      values: ['block', 'confirm'],
+      valueLabels: { block: 'Always blocked', confirm: 'Click again or hold to open' },
+      label: 'Clicks on a covered ad'
+    },
+    confirmWindow: { type: 'number', default: 3000, min: 1000, max: 15000, label: 'Time to confirm opening an ad (ms)' },
+    holdDuration: { type: 'number', default: 800, min: 300, max: 3000, label: 'Press and hold to open an ad (ms)' }
+  }
+};
+
+// Migrations keyed by the version they upgrade from. Each takes the stored object and returns the next version.
+// Version 1 is the first stored layout: before it only adGuardEnabled was stored, which is kept as it is.
+const SETTINGS_MIGRATIONS = {};
+
+// Function to turn a "#rrggbb" color and an opacity into an rgba() value
+function colorWithOpacity(hex, opacity) {
+  const channels = [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+  return 'rgba(' + channels.join(', ') + ', ' + opacity + ')';
+}
+
+// Function to build a full settings object holding every default
+function getDefaultSettings() {
+  const settings = { version: SETTINGS_VERSION };
+  Object.keys(SETTINGS_SCHEMA).forEach(group => {
+    settings[group] = {};
+    Object.keys(SETTINGS_SCHEMA[group]).forEach(key => {
+      settings[group][key] = SETTINGS_SCHEMA[group][key].default;
+    });
+  });
+  return settings;
+}
+
+// Function to check one value against its schema field. Returns an error message, or null when valid.
+function getSettingError(field, value) {
+  if (field.type === 'color') {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? null : 'must be a color like #ff0000';
+  }
+
+  if (field.type === 'enum') {
+    return field.values.includes(value) ? null : 'must be one of ' + field.values.join(', ');
+  }
+
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return 'must be a number';
+  }
+  if (!field.step && !Number.isInteger(value)) {
+    return 'must be a whole number';
+  }
+  if (value < field.min || value > field.max) {
+    return 'must be between ' + field.min + ' and ' + field.max;
+  }
+  return null;
+}
+
+// Function to validate a settings object against the schema. Missing settings take their default and
+// invalid ones are reported and replaced by their default. Unknown keys are dropped.
+// Returns { settings, errors } where each error is { key: 'group.name', message }.
+function validateSettings(input) {
+  const settings = getDefaultSettings();
+  const errors = [];
+  const source = input && typeof input === 'object' ? input : {};
+
+  Object.keys(SETTINGS_SCHEMA).forEach(group => {
+    const values = source[group] && typeof source[group] === 'object' ? source[group] : {};
+
+    Object.keys(SETTINGS_SCHEMA[group]).forEach(key => {
+      const field = SETTINGS_SCHEMA[group][key];
+      if (values[key] === undefined) return;
+
+      const error = getSettingError(field, values[key]);
+      if (error) {
+        errors.push({ key: group + '.' + key, message: field.label + ' ' + error });
+      } else {
+        settings[group][key] = field.type === 'color' ? values[key].toLowerCase() : values[key];
+      }
+    });
+  });
+
+  if (settings.countdown.minimumDuration > settings.countdown.maximumDuration) {
+    errors.push({
+      key: 'countdown.minimumDuration',
+      message: SETTINGS_SCHEMA.countdown.minimumDuration.label + ' must not be longer than the longest countdown'
+    });
+    settings.countdown.minimumDuration = SETTINGS_SCHEMA.countdown.minimumDuration.default;
+    settings.countdown.maximumDuration = SETTINGS_SCHEMA.countdown.maximumDuration.default;
+  }
+
+  return { settings, errors };
+}
+
+// Function to run the migrations a settings object needs to reach SETTINGS_VERSION, without validating it.
+// Returns the object itself when it is already current.
+function upgradeSettings(stored) {
+  let current = stored;
+  let version = Number.isInteger(stored.version) ? stored.version : 0;
+
+  while (version < SETTINGS_VERSION && SETTINGS_MIGRATIONS[version]) {
+    current = SETTINGS_MIGRATIONS[version](current);
+    version++;
+  }
+
+  return current;
+}
+
+// Function to bring a stored settings object up to SETTINGS_VERSION and validate it.
+// Returns { settings, migrated } where migrated tells whether the stored copy is out of date.
+function migrateSettings(stored) {
+  // Storage from before versioned settings holds nothing to carry over
+  if (!stored || typeof stored !== 'object' || !Number.isInteger(stored.version)) {
+    return { settings: getDefaultSettings(), migrated: false };
+  }
+
+  // Settings written by a newer version keep every setting this version knows about
+  const current = upgradeSettings(stored);
+  return { settings: validateSettings(current).settings, migrated: current !== stored };
+}
+
+// Function to read the user's own settings from chrome.storage.sync, migrated and validated
+function loadUserSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(SETTINGS_STORAGE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to load settings:', chrome.runtime.lastError.message);
+        resolve(getDefaultSettings());
+        return;
+      }
+      resolve(migrateSettings(result[SETTINGS_STORAGE_KEY]).settings);
+    });
+  });
+}
+
+// Function to keep the valid values of a policy's locked settings: { group: { name: value } }.
+// Unknown or invalid entries are reported and left unlocked.
+function sanitizeManagedSettings(input) {
+  const managed = {};
+  if (!input || typeof input !== 'object') {
+    return managed;
+  }
+
+  Object.keys(SETTINGS_SCHEMA).forEach(group => {
+    const values = input[group] && typeof input[group] === 'object' ? input[group] : {};
+
+    Object.keys(values).forEach(key => {
+      const field = SETTINGS_SCHEMA[group][key];
+      const error = field ? getSettingError(field, values[key]) : 'is not a setting';
+      if (error) {
+        console.warn('Ignoring managed setting ' + group + '.' + key + ': ' + (field ? field.label + ' ' : '') + error);
+        return;
+      }
+
+      managed[group] = managed[group] || {};
+      managed[group][key] = field.type === 'color' ? values[key].toLowerCase() : values[key];
+    });
+  });
+
+  return managed;
+}
+
+// Function to read the settings locked by enterprise policy. Resolves to {} when there is no policy
+// or the browser has no managed storage.
+function loadManagedSettings() {
+  return new Promise((resolve) => {
+    if (!chrome.storage.managed) {
+      resolve({});
+      return;
+    }
+
+    chrome.storage.managed.get(MANAGED_SETTINGS_KEY, (result) => {
+      if (chrome.runtime.lastError || !result) {
+        resolve({});
+        return;
+      }
+      resolve(sanitizeManagedSettings(result[MANAGED_SETTINGS_KEY]));
+    });
+  });
+}
+
+// Function to check whether a setting is locked by policy
+function isSettingManaged(managed, group, key) {
+  return !!managed[group] && managed[group][key] !== undefined;
+}
+
+// Function to put locked values over a settings object. When only one countdown bound is locked and the user's
+// other bound contradicts it, the user's bound gives way.
+function applyManagedSettings(settings, managed) {
+  const result = { version: settings.version };
+  Object.keys(SETTINGS_SCHEMA).forEach(group => {
+    result[group] = { ...settings[group], ...(managed[group] || {}) };
+  });
+
+  const countdown = result.countdown;
+  if (countdown.minimumDuration > countdown.maximumDuration) {
+    if (isSettingManaged(managed, 'countdown', 'minimumDuration')) {
+      countdown.maximumDuration = countdown.minimumDuration;
+    } else {
+      countdown.minimumDuration = countdown.maximumDuration;
+    }
+  }
+
+  return result;
+}
+
+// Function to read the settings in effect: the user's own, with the values locked by policy on top
+function loadSettings() {
+  return Promise.all([loadUserSettings(), loadManagedSettings()])
+    .then(([settings, managed]) => applyManagedSettings(settings, managed));
+}
+
+// Function to validate and save the settings. Rejects with the first validation error without saving.
+function saveSettings(input) {
+  const { settings, errors } = validateSettings(input);
+  if (errors.length > 0) {
+    return Promise.reject(new Error(errors[0].message));
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settings }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(settings);
+      }
+    });
+  });
+}
+
+// Function to rewrite settings stored by an older version in the current layout, run after an update
+function migrateStoredSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(SETTINGS_STORAGE_KEY, (result) => {
+      const { settings, migrated } = migrateSettings(result[SETTINGS_STORAGE_KEY]);
+      if (!migrated) {
+        resolve(false);
+        return;
+      }
+
+      chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settings }, () => {
+        console.log('Settings migrated to version', SETTINGS_VERSION);
+        resolve(true);
+      });
+    });
+  });
+}
+
+// Function to check whether a chrome.storage.onChanged event changes the settings in effect,
+// either the user's own or those locked by policy
+function isSettingsChange(changes, namespace) {
+  return (namespace === 'sync' && !!changes[SETTINGS_STORAGE_KEY]) ||
+    (namespace === 'managed' && !!changes[MANAGED_SETTINGS_KEY]);
+}
+
+// Export functions for use in the content scripts, background.js and the options page
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETTINGS_STORAGE_KEY,
+    SETTINGS_VERSION,
+    SETTINGS_SCHEMA,
+    colorWithOpacity,
+    getDefaultSettings,
+    validateSettings,
+    upgradeSettings,
+    migrateSettings,
+    loadUserSettings,
+    sanitizeManagedSettings,
+    loadManagedSettings,
+    isSettingManaged,
+    applyManagedSettings,
+    loadSettings,
+    saveSettings,
+    migrateStoredSettings,
+    isSettingsChange
+  };
+}
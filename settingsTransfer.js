@@ -0,0 +1,313 @@
+// Settings Transfer Functions
+// Export of everything a user can configure (default state, site lists, site overlay styles, settings, own rules,
+// filter lists) as one versioned JSON document, and the validation, merge and diff used to import such a document.
+// DOM-free, shared by the background service worker and the options page. Needs siteSettings.js and settings.js.
+
+const SETTINGS_EXPORT_FORMAT = 'ad-click-guard-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+// Section names used in import previews
+const SETTINGS_TRANSFER_SECTIONS = {
+  defaultEnabled: 'Default for all sites',
+  enabledSites: 'Always on',
+  disabledSites: 'Never on',
+  siteOverlayModes: 'Overlay style per site',
+  settings: 'Appearance and detection',
+  customRules: 'My filters',
+  filterLists: 'Filter lists'
+};
+
+// Function to build the export document from the current state:
+// { defaultEnabled, enabledSites, disabledSites, siteOverlayModes, settings, customRules, filterLists }
+function createSettingsExport(state) {
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    defaultEnabled: state.defaultEnabled,
+    enabledSites: state.enabledSites.slice(),
+    disabledSites: state.disabledSites.slice(),
+    siteOverlayModes: { ...state.siteOverlayModes },
+    settings: state.settings,
+    customRules: state.customRules,
+    // Built-in lists are known by id, lists the user added by URL
+    filterLists: state.filterLists.map(list => list.builtIn
+      ? { id: list.id, enabled: list.enabled }
+      : { url: list.url, title: list.title || '', enabled: list.enabled })
+  };
+}
+
+// Function to check an imported export document and turn it into the same shape as the current state.
+// Returns { data, errors }; data is null when the document cannot be imported at all.
+function parseSettingsExport(exported) {
+  const errors = [];
+
+  if (!exported || typeof exported !== 'object' || Array.isArray(exported)) {
+    return { data: null, errors: ['The file does not contain a settings export'] };
+  }
+  if (exported.format !== SETTINGS_EXPORT_FORMAT) {
+    return { data: null, errors: ['The file is not an Ad Click Guard settings export'] };
+  }
+  if (!Number.isInteger(exported.version) || exported.version < 1) {
+    return { data: null, errors: ['The file has no valid export version'] };
+  }
+  if (exported.version > SETTINGS_EXPORT_VERSION) {
+    return { data: null, errors: ['The file was exported by a newer version of Ad Click Guard'] };
+  }
+
+  const data = {
+    defaultEnabled: false,
+    enabledSites: [],
+    disabledSites: [],
+    siteOverlayModes: {},
+    settings: getDefaultSettings(),
+    customRules: '',
+    filterLists: []
+  };
+
+  if (typeof exported.defaultEnabled !== 'boolean') {
+    errors.push(SETTINGS_TRANSFER_SECTIONS.defaultEnabled + ' must be true or false');
+  } else {
+    data.defaultEnabled = exported.defaultEnabled;
+  }
+
+  ['enabledSites', 'disabledSites'].forEach(listName => {
+    const list = exported[listName];
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+      errors.push(SETTINGS_TRANSFER_SECTIONS[listName] + ' must be a list of sites');
+      return;
+    }
+
+    const { patterns, invalid } = sanitizeSitePatterns(list);
+    if (invalid.length > 0) {
+      errors.push(SETTINGS_TRANSFER_SECTIONS[listName] + ': not a hostname or wildcard pattern: ' + invalid.join(', '));
+    }
+    data[listName] = patterns;
+  });
+
+  // Files exported before site overlay styles existed have none
+  if (exported.siteOverlayModes !== undefined) {
+    if (!exported.siteOverlayModes || typeof exported.siteOverlayModes !== 'object' || Array.isArray(exported.siteOverlayModes)) {
+      errors.push(SETTINGS_TRANSFER_SECTIONS.siteOverlayModes + ' must map sites to overlay styles');
+    } else {
+      const { siteOverlayModes, invalid } = parseSiteOverlayModes(
+        formatSiteOverlayModes(exported.siteOverlayModes), SETTINGS_SCHEMA.appearance.overlayMode.values);
+      if (invalid.length > 0) {
+        errors.push(SETTINGS_TRANSFER_SECTIONS.siteOverlayModes + ': not a site and overlay style: ' + invalid.join(', '));
+      }
+      data.siteOverlayModes = siteOverlayModes;
+    }
+  }
+
+  if (!exported.settings || typeof exported.settings !== 'object') {
+    errors.push(SETTINGS_TRANSFER_SECTIONS.settings + ' are missing');
+  } else {
+    const { settings, errors: settingErrors } = validateSettings(upgradeSettings(exported.settings));
+    settingErrors.forEach(error => errors.push(SETTINGS_TRANSFER_SECTIONS.settings + ': ' + error.message));
+    data.settings = settings;
+  }
+
+  if (typeof exported.customRules !== 'string') {
+    errors.push(SETTINGS_TRANSFER_SECTIONS.customRules + ' must be text');
+  } else {
+    data.customRules = exported.customRules.replace(/\r\n?/g, '\n');
+  }
+
+  if (!Array.isArray(exported.filterLists)) {
+    errors.push(SETTINGS_TRANSFER_SECTIONS.filterLists + ' must be a list');
+  } else {
+    exported.filterLists.forEach(list => {
+      const error = getFilterListEntryError(list);
+      if (error) {
+        errors.push(SETTINGS_TRANSFER_SECTIONS.filterLists + ': ' + error);
+      } else {
+        data.filterLists.push(list.id
+          ? { id: list.id, enabled: list.enabled }
+          : { url: new URL(list.url).href, title: typeof list.title === 'string' ? list.title.trim() : '', enabled: list.enabled });
+      }
+    });
+  }
+
+  return { data, errors };
+}
+
+// Function to check one exported filter list entry. Returns an error message, or null when valid.
+function getFilterListEntryError(list) {
+  if (!list || typeof list !== 'object' || typeof list.enabled !== 'boolean') {
+    return 'every list needs an enabled flag';
+  }
+  if (list.id !== undefined) {
+    return typeof list.id === 'string' && list.id ? null : 'a built-in list id must be text';
+  }
+
+  try {
+    const url = new URL(list.url);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? null : 'list URLs must use http or https: ' + list.url;
+  } catch (e) {
+    return 'invalid list URL: ' + list.url;
+  }
+}
+
+// Function to get the key a filter list is matched by across browsers: built-in id or URL
+function getFilterListTransferKey(list) {
+  return list.builtIn || (list.id && !list.url) ? 'id:' + list.id : 'url:' + list.url;
+}
+
+// Function to combine the current state with imported data.
+// 'replace' takes the imported data as it is. 'merge' keeps what is already set up and adds to it: site
+// entries and rule lines are added (an imported site entry moves out of the other list), site overlay styles are
+// added or take the imported style, filter lists are added or switched to the imported state, and the default
+// and settings are taken from the import.
+function mergeSettingsImport(current, imported, mode) {
+  const builtInLists = current.filterLists.filter(list => list.builtIn);
+
+  if (mode === 'replace') {
+    const importedKeys = new Map(imported.filterLists.map(list => [getFilterListTransferKey(list), list]));
+    return {
+      ...imported,
+      // Built-in lists missing from the file keep their current state, they cannot be removed
+      filterLists: builtInLists
+        .map(list => importedKeys.has(getFilterListTransferKey(list))
+          ? { ...list, enabled: importedKeys.get(getFilterListTransferKey(list)).enabled }
+          : list)
+        .concat(imported.filterLists.filter(list => !list.id))
+    };
+  }
+
+  const enabledSites = current.enabledSites.filter(pattern => !imported.disabledSites.includes(pattern));
+  const disabledSites = current.disabledSites.filter(pattern => !imported.enabledSites.includes(pattern));
+  imported.enabledSites.forEach(pattern => {
+    if (!enabledSites.includes(pattern)) enabledSites.push(pattern);
+  });
+  imported.disabledSites.forEach(pattern => {
+    if (!disabledSites.includes(pattern)) disabledSites.push(pattern);
+  });
+
+  const currentLines = new Set(current.customRules.split('\n').map(line => line.trim()));
+  const addedLines = imported.customRules.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !currentLines.has(line));
+  const customRules = addedLines.length === 0
+    ? current.customRules
+    : current.customRules.replace(/\n*$/, '') + (current.customRules.trim() ? '\n' : '') + addedLines.join('\n');
+
+  const filterLists = current.filterLists.map(list => ({ ...list }));
+  imported.filterLists.forEach(importedList => {
+    const key = getFilterListTransferKey(importedList);
+    const existing = filterLists.find(list => getFilterListTransferKey(list) === key);
+    if (existing) {
+      existing.enabled = importedList.enabled;
+    } else if (!importedList.id) {
+      filterLists.push({ ...importedList });
+    }
+  });
+
+  return {
+    defaultEnabled: imported.defaultEnabled,
+    enabledSites,
+    disabledSites,
+    siteOverlayModes: { ...current.siteOverlayModes, ...imported.siteOverlayModes },
+    settings: imported.settings,
+    customRules,
+    filterLists
+  };
+}
+
+// Function to list what an import would change, for the preview.
+// Each change is { section, item, change: 'added' | 'removed' | 'changed', from, to }.
+function diffSettingsImport(current, target) {
+  const changes = [];
+  const onOff = value => value ? 'on' : 'off';
+
+  if (current.defaultEnabled !== target.defaultEnabled) {
+    changes.push({
+      section: SETTINGS_TRANSFER_SECTIONS.defaultEnabled,
+      item: 'Protection on all other sites',
+      change: 'changed',
+      from: onOff(current.defaultEnabled),
+      to: onOff(target.defaultEnabled)
+    });
+  }
+
+  ['enabledSites', 'disabledSites'].forEach(listName => {
+    target[listName].filter(pattern => !current[listName].includes(pattern)).forEach(pattern => {
+      changes.push({ section: SETTINGS_TRANSFER_SECTIONS[listName], item: pattern, change: 'added' });
+    });
+    current[listName].filter(pattern => !target[listName].includes(pattern)).forEach(pattern => {
+      changes.push({ section: SETTINGS_TRANSFER_SECTIONS[listName], item: pattern, change: 'removed' });
+    });
+  });
+
+  Object.keys(target.siteOverlayModes).forEach(pattern => {
+    const from = current.siteOverlayModes[pattern];
+    const to = target.siteOverlayModes[pattern];
+    if (from === undefined) {
+      changes.push({ section: SETTINGS_TRANSFER_SECTIONS.siteOverlayModes, item: pattern, change: 'added', to });
+    } else if (from !== to) {
+      changes.push({ section: SETTINGS_TRANSFER_SECTIONS.siteOverlayModes, item: pattern, change: 'changed', from, to });
+    }
+  });
+  Object.keys(current.siteOverlayModes).filter(pattern => target.siteOverlayModes[pattern] === undefined).forEach(pattern => {
+    changes.push({ section: SETTINGS_TRANSFER_SECTIONS.siteOverlayModes, item: pattern, change: 'removed' });
+  });
+
+  Object.keys(SETTINGS_SCHEMA).forEach(group => {
+    Object.keys(SETTINGS_SCHEMA[group]).forEach(key => {
+      if (current.settings[group][key] !== target.settings[group][key]) {
+        changes.push({
+          section: SETTINGS_TRANSFER_SECTIONS.settings,
+          item: SETTINGS_SCHEMA[group][key].label,
+          change: 'changed',
+          from: String(current.settings[group][key]),
+          to: String(target.settings[group][key])
+        });
+      }
+    });
+  });
+
+  const ruleLines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+  const currentRules = ruleLines(current.customRules);
+  const targetRules = ruleLines(target.customRules);
+  targetRules.filter(line => !currentRules.includes(line)).forEach(line => {
+    changes.push({ section: SETTINGS_TRANSFER_SECTIONS.customRules, item: line, change: 'added' });
+  });
+  currentRules.filter(line => !targetRules.includes(line)).forEach(line => {
+    changes.push({ section: SETTINGS_TRANSFER_SECTIONS.customRules, item: line, change: 'removed' });
+  });
+
+  const describeList = list => list.title || list.url || list.id;
+  target.filterLists.forEach(list => {
+    const existing = current.filterLists.find(item => getFilterListTransferKey(item) === getFilterListTransferKey(list));
+    if (!existing) {
+      changes.push({ section: SETTINGS_TRANSFER_SECTIONS.filterLists, item: describeList(list), change: 'added', to: onOff(list.enabled) });
+    } else if (existing.enabled !== list.enabled) {
+      changes.push({
+        section: SETTINGS_TRANSFER_SECTIONS.filterLists,
+        item: describeList(existing),
+        change: 'changed',
+        from: onOff(existing.enabled),
+        to: onOff(list.enabled)
+      });
+    }
+  });
+  current.filterLists.forEach(list => {
+    if (!target.filterLists.some(item => getFilterListTransferKey(item) === getFilterListTransferKey(list))) {
+      changes.push({ section: SETTINGS_TRANSFER_SECTIONS.filterLists, item: describeList(list), change: 'removed' });
+    }
+  });
+
+  return changes;
+}
+
+// Export functions for use in background.js and the options page
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETTINGS_EXPORT_FORMAT,
+    SETTINGS_EXPORT_VERSION,
+    createSettingsExport,
+    parseSettingsExport,
+    getFilterListTransferKey,
+    mergeSettingsImport,
+    diffSettingsImport
+  };
+}
@@ -0,0 +1,211 @@
+// Site Settings Functions
+// Per-site control: hostnames or wildcard patterns where protection always runs or never runs, with
+// adGuardEnabled as the default for every other site, and the overlay style chosen for a site instead of
+// the one in the appearance settings. DOM-free, shared by the background service worker, the popup and the
+// options page. Patterns live in chrome.storage.sync next to adGuardEnabled.
+
+const SITE_SETTINGS_DEFAULTS = {
+  adGuardEnabled: false,
+  enabledSites: [],
+  disabledSites: [],
+  // Overlay style by site pattern, e.g. { 'example.com': 'outline' }, see SETTINGS_SCHEMA.appearance.overlayMode
+  siteOverlayModes: {}
+};
+
+// Where the effective state of a site comes from
+const SITE_STATE_SOURCES = {
+  enabledSites: 'enabled-sites',
+  disabledSites: 'disabled-sites',
+  default: 'default'
+};
+
+// Compiled wildcard patterns keyed by their text
+const sitePatternCache = new Map();
+
+// Function to turn what the user typed ("https://Example.com/path", "*.Example.com.") into a bare pattern
+function normalizeSitePattern(pattern) {
+  return (pattern || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+}
+
+// Function to check that a normalized pattern is a hostname, optionally with "*" wildcards.
+// A pattern must name something: "*" alone would be the same as the default for all sites.
+function isValidSitePattern(pattern) {
+  return /^[a-z0-9*._-]+$/.test(pattern) && /[a-z0-9]/.test(pattern) && !pattern.includes('..');
+}
+
+// Function to check whether a hostname matches a site pattern. A plain pattern covers the site and its
+// subdomains ("example.com" matches "www.example.com"); "*" stands for any run of characters
+// ("*.example.com", "go-*.link", "shortlink.*").
+function hostnameMatchesSitePattern(hostname, pattern) {
+  if (!pattern.includes('*')) {
+    return hostname === pattern || hostname.endsWith('.' + pattern);
+  }
+
+  if (!sitePatternCache.has(pattern)) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('.*');
+    sitePatternCache.set(pattern, new RegExp('^' + source + '$'));
+  }
+  return sitePatternCache.get(pattern).test(hostname);
+}
+
+// Function to rank how specific a pattern is: the more literal characters, the more specific
+function getSitePatternSpecificity(pattern) {
+  return pattern.replace(/\*/g, '').length;
+}
+
+// Function to resolve whether protection runs on a hostname: { enabled, source, pattern }.
+// The most specific matching pattern decides and the never-run list wins a tie; without a match the default applies.
+function resolveSiteState(hostname, settings) {
+  const normalized = normalizeSitePattern(hostname);
+  let best = null;
+
+  ['enabledSites', 'disabledSites'].forEach(listName => {
+    (settings[listName] || []).forEach(pattern => {
+      if (!normalized || !hostnameMatchesSitePattern(normalized, pattern)) return;
+
+      const specificity = getSitePatternSpecificity(pattern);
+      if (!best || specificity > best.specificity || (specificity === best.specificity && listName === 'disabledSites')) {
+        best = { listName, pattern, specificity };
+      }
+    });
+  });
+
+  if (!best) {
+    return { enabled: !!settings.adGuardEnabled, source: SITE_STATE_SOURCES.default, pattern: null };
+  }
+
+  return {
+    enabled: best.listName === 'enabledSites',
+    source: SITE_STATE_SOURCES[best.listName],
+    pattern: best.pattern
+  };
+}
+
+// Function to clean up a pattern list before saving: normalized, deduplicated, invalid entries reported.
+// Returns { patterns, invalid } where invalid holds the entries as typed.
+function sanitizeSitePatterns(patterns) {
+  const result = { patterns: [], invalid: [] };
+
+  (patterns || []).forEach(item => {
+    const pattern = normalizeSitePattern(item);
+    if (!pattern) return;
+
+    if (!isValidSitePattern(pattern)) {
+      result.invalid.push(String(item).trim());
+    } else if (!result.patterns.includes(pattern)) {
+      result.patterns.push(pattern);
+    }
+  });
+
+  return result;
+}
+
+// Function to put a hostname in one list ('enabled' or 'disabled') or take it out of both ('default').
+// Only the exact hostname entry is touched, wildcard patterns are edited in the options page.
+function setSiteMode(settings, hostname, mode) {
+  const site = normalizeSitePattern(hostname);
+  const enabledSites = (settings.enabledSites || []).filter(pattern => pattern !== site);
+  const disabledSites = (settings.disabledSites || []).filter(pattern => pattern !== site);
+
+  if (mode === 'enabled') {
+    enabledSites.push(site);
+  } else if (mode === 'disabled') {
+    disabledSites.push(site);
+  }
+
+  return { enabledSites, disabledSites };
+}
+
+// Function to flip whether protection runs on a hostname. Prefers taking the hostname's own entry out when the
+// rest of the settings then give the wanted state, otherwise puts the hostname in the opposite list.
+function toggleSiteMode(settings, hostname) {
+  const enabled = !resolveSiteState(hostname, settings).enabled;
+  const withoutEntry = { ...settings, ...setSiteMode(settings, hostname, 'default') };
+  if (resolveSiteState(hostname, withoutEntry).enabled === enabled) {
+    return setSiteMode(settings, hostname, 'default');
+  }
+  return setSiteMode(settings, hostname, enabled ? 'enabled' : 'disabled');
+}
+
+// Function to find the overlay style chosen for a hostname: { mode, pattern }, or null when the appearance
+// setting applies. The most specific matching pattern decides.
+function resolveSiteOverlayMode(hostname, siteOverlayModes) {
+  const normalized = normalizeSitePattern(hostname);
+  let best = null;
+
+  Object.keys(siteOverlayModes || {}).forEach(pattern => {
+    if (!normalized || !hostnameMatchesSitePattern(normalized, pattern)) return;
+
+    const specificity = getSitePatternSpecificity(pattern);
+    if (!best || specificity > best.specificity) {
+      best = { pattern, specificity };
+    }
+  });
+
+  return best ? { mode: siteOverlayModes[best.pattern], pattern: best.pattern } : null;
+}
+
+// Function to read "pattern mode" lines ("*.example.com outline") into a site overlay style map, keeping only
+// the modes given. Returns { siteOverlayModes, invalid } where invalid holds the lines as typed.
+function parseSiteOverlayModes(lines, modes) {
+  const result = { siteOverlayModes: {}, invalid: [] };
+
+  (lines || []).forEach(line => {
+    const parts = String(line).trim().split(/\s+/);
+    if (!parts[0]) return;
+
+    const pattern = normalizeSitePattern(parts[0]);
+    const mode = (parts[1] || '').toLowerCase();
+    if (parts.length !== 2 || !isValidSitePattern(pattern) || !modes.includes(mode)) {
+      result.invalid.push(String(line).trim());
+    } else {
+      result.siteOverlayModes[pattern] = mode;
+    }
+  });
+
+  return result;
+}
+
+// Function to write a site overlay style map as the "pattern mode" lines parseSiteOverlayModes reads
+function formatSiteOverlayModes(siteOverlayModes) {
+  return Object.keys(siteOverlayModes || {}).map(pattern => pattern + ' ' + siteOverlayModes[pattern]);
+}
+
+// Function to choose the overlay style for a hostname, or to go back to the appearance setting with a null mode.
+// Only the exact hostname entry is touched, wildcard patterns are edited in the options page.
+function setSiteOverlayMode(siteOverlayModes, hostname, mode) {
+  const site = normalizeSitePattern(hostname);
+  const updated = { ...siteOverlayModes };
+
+  if (mode) {
+    updated[site] = mode;
+  } else {
+    delete updated[site];
+  }
+  return updated;
+}
+
+// Export functions for use in background.js, the popup and the options page
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SITE_SETTINGS_DEFAULTS,
+    SITE_STATE_SOURCES,
+    normalizeSitePattern,
+    isValidSitePattern,
+    hostnameMatchesSitePattern,
+    resolveSiteState,
+    sanitizeSitePatterns,
+    setSiteMode,
+    toggleSiteMode,
+    resolveSiteOverlayMode,
+    parseSiteOverlayModes,
+    formatSiteOverlayModes,
+    setSiteOverlayMode
+  };
+}